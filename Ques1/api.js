@@ -0,0 +1,380 @@
+/**
+ * HTTP/JSON control API for the elevator simulation (Node `http` only)
+ *
+ * Endpoints:
+ *   GET    /                     live shaft panel (public/panel.html)
+ *   GET    /status               status() of all cars, pending queue and hall buttons
+ *   GET    /events               Server-Sent Events: a `tick` snapshot every tick,
+ *                                plus every system event under its own type
+ *   POST   /requests             { from, to, weight?, priority? }  -> 201 { id }   (priority: see boarding.js)
+ *   GET    /requests/:id         lifecycle of one request
+ *   DELETE /requests/:id         cancel a waiting request
+ *   POST   /hall-calls           { floor, direction }        (UP / DOWN)
+ *   POST   /car-calls            { elevatorId, floor }
+ *   POST   /elevators/:id/out-of-service   { reason? }   fault: stop at this floor, let riders out
+ *   POST   /elevators/:id/maintenance      { reason? }   finish drop-offs, then park
+ *   POST   /elevators/:id/return           back into normal service
+ *   POST   /fire-recall          { lobby? }                  all cars to the lobby, hall calls ignored
+ *   DELETE /fire-recall          clear the recall
+ *   POST   /simulation/start     run on a timer (every tickMs)
+ *   POST   /simulation/pause
+ *   POST   /simulation/step      { ticks? }                  advance synchronously
+ *   POST   /simulation/reset     { elevators?, floors?, basements?, maxPeople?, maxWeight?, dispatch?, mode?, tickMs?, seed?, parking?,
+ *                                   energySaving? }   (energySaving: true/false or { maxExtraWait }, see dispatch.js)
+ *                                   (at most 100 elevators, 200 floors and 50 basements); anything left
+ *                                   out is what the server started with, not what the last reset set
+ *
+ * Errors come back as { error } with a 4xx status.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { PRIORITY_CLASSES } = require('./boarding');
+
+const PANEL_FILE = path.join(__dirname, 'public', 'panel.html');
+const MAX_BODY_BYTES = 64 * 1024;
+// a reset builds the whole building at once; keep it small enough not to stall the server
+const MAX_ELEVATORS = 100;
+const MAX_FLOORS = 200;
+const MAX_BASEMENTS = 50;
+const MAX_STEP_TICKS = 10000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Owns the running system and its timer; reset() swaps in a fresh system.
+class SimulationController {
+  constructor(createSystem, params = {}) {
+    this.createSystem = createSystem;
+    this.defaults = params; // what the server started with; every reset starts from these
+    this.params = params;
+    this.timer = null;
+    this.clients = new Set(); // open SSE responses
+    this.system = null;
+    this.onEvent = (e) => this.broadcast(e);
+    this.reset(params);
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  reset(params = {}) {
+    const next = { ...this.defaults, ...params };
+    // build first so bad parameters leave the current run untouched
+    const system = this.createSystem(next);
+    this.pause();
+    if (this.system) this.system.removeListener('event', this.onEvent);
+    this.params = next;
+    this.system = system;
+    this.system.on('event', this.onEvent);
+    this.broadcast({ type: 'reset', tick: 0, params: this.params });
+    this.broadcastSnapshot();
+  }
+
+  start() {
+    if (this.running) return;
+    this.timer = setInterval(() => this.system.tick(), this.system.tickMs);
+  }
+
+  pause() {
+    if (!this.running) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  step(ticks = 1) {
+    for (let i = 0; i < ticks; i++) this.system.tick();
+  }
+
+  snapshot() {
+    return { running: this.running, params: this.params, ...this.system.status() };
+  }
+
+  broadcast(event) {
+    // the tick event itself is sent as a full snapshot
+    if (event.type === 'tick') {
+      this.broadcastSnapshot();
+      return;
+    }
+    this.send(event.type, event);
+  }
+
+  broadcastSnapshot() {
+    this.send('tick', this.snapshot());
+  }
+
+  send(type, data) {
+    const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of this.clients) res.write(frame);
+  }
+
+  close() {
+    this.pause();
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+  }
+}
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new Error('not an object');
+        }
+        resolve(body);
+      } catch (err) {
+        reject(new HttpError(400, 'Body must be a JSON object'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function requireInt(body, key, { optional = false, min = -Infinity, max = Infinity } = {}) {
+  const value = body[key];
+  if (value === undefined && optional) return undefined;
+  if (!Number.isInteger(value) || value < min) {
+    throw new HttpError(400, `"${key}" must be an integer${min > -Infinity ? ` >= ${min}` : ''}`);
+  }
+  if (value > max) throw new HttpError(400, `"${key}" must be at most ${max}`);
+  return value;
+}
+
+// reason given by the system for the call it just turned down
+function lastInvalidReason(system) {
+  const last = system.eventLog[system.eventLog.length - 1];
+  return last && last.type === 'requestInvalid' ? last.reason : null;
+}
+
+// Pick the building parameters a reset may change.
+function resetParams(body) {
+  const params = {};
+  const limits = { elevators: MAX_ELEVATORS, floors: MAX_FLOORS };
+  for (const key of ['elevators', 'floors', 'maxPeople', 'maxWeight', 'tickMs']) {
+    const v = requireInt(body, key, { optional: true, min: 1, max: limits[key] });
+    if (v !== undefined) params[key] = v;
+  }
+  if (params.floors !== undefined && params.floors < 2) throw new HttpError(400, '"floors" must be an integer >= 2');
+  const basements = requireInt(body, 'basements', { optional: true, min: 0, max: MAX_BASEMENTS });
+  if (basements !== undefined) params.basements = basements;
+  for (const key of ['dispatch', 'mode']) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string') throw new HttpError(400, `"${key}" must be a string`);
+    params[key] = body[key];
+  }
+  if (body.parking !== undefined) {
+    if (typeof body.parking !== 'boolean') throw new HttpError(400, '"parking" must be true or false');
+    params.parking = body.parking;
+  }
+  if (body.energySaving !== undefined) {
+    const value = body.energySaving;
+    if (typeof value !== 'boolean' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+      throw new HttpError(400, '"energySaving" must be true/false or { maxExtraWait }');
+    }
+    params.energySaving = value;
+  }
+  if (body.seed !== undefined) params.seed = body.seed;
+  return params;
+}
+
+async function route(controller, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const { pathname } = url;
+  const method = req.method;
+  const system = controller.system;
+
+  if (method === 'GET' && pathname === '/') {
+    const html = fs.readFileSync(PANEL_FILE);
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+    return;
+  }
+
+  if (method === 'GET' && pathname === '/status') {
+    sendJson(res, 200, controller.snapshot());
+    return;
+  }
+
+  if (method === 'GET' && pathname === '/events') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(`event: tick\ndata: ${JSON.stringify(controller.snapshot())}\n\n`);
+    controller.clients.add(res);
+    req.on('close', () => controller.clients.delete(res));
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/requests') {
+    const body = await readJson(req);
+    const from = requireInt(body, 'from');
+    const to = requireInt(body, 'to');
+    const weight = body.weight === undefined ? 70 : body.weight;
+    if (typeof weight !== 'number' || !(weight > 0)) throw new HttpError(400, '"weight" must be a positive number');
+    const priority = body.priority === undefined ? 'normal' : body.priority;
+    if (!PRIORITY_CLASSES[priority]) {
+      throw new HttpError(400, `"priority" must be one of ${Object.keys(PRIORITY_CLASSES).join(', ')}`);
+    }
+    const error = system.validateRequest(from, to, weight);
+    if (error) throw new HttpError(400, error);
+    const id = system.requestElevator(from, to, weight, priority);
+    sendJson(res, 201, { id, request: system.getRequest(id) });
+    return;
+  }
+
+  const requestMatch = pathname.match(/^\/requests\/([^/]+)$/);
+  if (requestMatch) {
+    const id = decodeURIComponent(requestMatch[1]);
+    if (method === 'GET') {
+      const request = system.getRequest(id);
+      if (!request) throw new HttpError(404, `Unknown request ${id}`);
+      sendJson(res, 200, request);
+      return;
+    }
+    if (method === 'DELETE') {
+      if (!system.getRequest(id)) throw new HttpError(404, `Unknown request ${id}`);
+      if (!system.cancelRequest(id)) throw new HttpError(409, `Request ${id} can no longer be cancelled`);
+      sendJson(res, 200, system.getRequest(id));
+      return;
+    }
+  }
+
+  if (method === 'POST' && pathname === '/hall-calls') {
+    const body = await readJson(req);
+    const floor = requireInt(body, 'floor');
+    const direction = String(body.direction || '').toUpperCase();
+    if (system.fireRecall) throw new HttpError(409, 'Hall calls are ignored during fire recall');
+    const call = system.pressHallButton(floor, direction);
+    if (!call) throw new HttpError(400, lastInvalidReason(system) || `Invalid hall call ${direction} at floor ${floor}`);
+    sendJson(res, 201, { floor: call.floor, direction: call.direction, elevatorId: call.elevatorId });
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/car-calls') {
+    const body = await readJson(req);
+    const elevatorId = requireInt(body, 'elevatorId');
+    const floor = requireInt(body, 'floor');
+    if (!system.pressCarButton(elevatorId, floor)) {
+      throw new HttpError(400, lastInvalidReason(system) || `Invalid car call to floor ${floor} in Elevator-${elevatorId}`);
+    }
+    sendJson(res, 201, { elevatorId, floor });
+    return;
+  }
+
+  const elevatorMatch = pathname.match(/^\/elevators\/(\d+)\/(out-of-service|maintenance|return)$/);
+  if (method === 'POST' && elevatorMatch) {
+    const elevatorId = Number(elevatorMatch[1]);
+    const body = await readJson(req);
+    if (body.reason !== undefined && typeof body.reason !== 'string') throw new HttpError(400, '"reason" must be a string');
+    if (!system.elevators.some((e) => e.id === elevatorId)) throw new HttpError(404, `Unknown elevator ${elevatorId}`);
+    let changed;
+    try {
+      if (elevatorMatch[2] === 'out-of-service') changed = system.takeOutOfService(elevatorId, body.reason);
+      else if (elevatorMatch[2] === 'maintenance') changed = system.takeForMaintenance(elevatorId, body.reason);
+      else changed = system.returnToService(elevatorId);
+    } catch (err) {
+      throw new HttpError(409, err.message);
+    }
+    const elevator = system.elevators.find((e) => e.id === elevatorId).status();
+    sendJson(res, 200, { changed, elevator });
+    return;
+  }
+
+  if (pathname === '/fire-recall' && (method === 'POST' || method === 'DELETE')) {
+    let changed;
+    if (method === 'POST') {
+      const body = await readJson(req);
+      const lobby = requireInt(body, 'lobby', { optional: true });
+      if (lobby !== undefined && !system.isFloor(lobby)) throw new HttpError(400, `There is no floor ${lobby}`);
+      changed = system.activateFireRecall(lobby);
+    } else {
+      changed = system.clearFireRecall();
+    }
+    sendJson(res, 200, { changed, fireRecall: system.status().fireRecall });
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/simulation/start') {
+    controller.start();
+    sendJson(res, 200, controller.snapshot());
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/simulation/pause') {
+    controller.pause();
+    sendJson(res, 200, controller.snapshot());
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/simulation/step') {
+    const body = await readJson(req);
+    const ticks = body.ticks === undefined ? 1 : requireInt(body, 'ticks', { min: 1, max: MAX_STEP_TICKS });
+    controller.step(ticks);
+    sendJson(res, 200, controller.snapshot());
+    return;
+  }
+
+  if (method === 'POST' && pathname === '/simulation/reset') {
+    const params = resetParams(await readJson(req));
+    try {
+      controller.reset(params);
+    } catch (err) {
+      // e.g. an unknown dispatch strategy or mode
+      throw new HttpError(400, err.message);
+    }
+    sendJson(res, 200, controller.snapshot());
+    return;
+  }
+
+  throw new HttpError(404, `No route for ${method} ${pathname}`);
+}
+
+// Build (but do not start) the HTTP server. `createSystem(params)` returns a new ElevatorSystem.
+function createServer(createSystem, params = {}) {
+  const controller = new SimulationController(createSystem, params);
+  const server = http.createServer((req, res) => {
+    route(controller, req, res).catch((err) => {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (!res.headersSent) sendJson(res, status, { error: err.message });
+      else res.end();
+    });
+  });
+  server.on('close', () => controller.close());
+  server.controller = controller;
+  return server;
+}
+
+module.exports = {
+  createServer,
+  SimulationController,
+  HttpError,
+};
@@ -0,0 +1,157 @@
+/**
+ * Benchmark harness: compare building configurations over many seeded trials
+ *
+ * For every combination of car count, car capacity and dispatch strategy the
+ * harness runs `trials` simulations of generated traffic (traffic.js) and
+ * averages the run reports (metrics.js). Trial i uses the same arrivals for
+ * every configuration, so differences come from the configuration and not
+ * from luck of the draw.
+ *
+ * Each run lasts `minutes` of traffic, then keeps going (at most `drainMinutes`)
+ * until everyone who asked has been delivered.
+ *
+ * Energy is the net kWh of all cars over the run (energy.js); list a strategy
+ * with "+energy" (e.g. eta,eta+energy) to compare energy-saving dispatch.
+ *
+ *   node server.js bench --floors 30 --cars 4,6,8 --capacity 13 --dispatch heuristic,eta
+ *                        --pattern up-peak --rate 25 --minutes 20 --trials 10 --out bench.csv
+ */
+
+const { generateTraffic } = require('./traffic');
+
+const DEFAULTS = {
+  floors: 30,
+  cars: [4, 6, 8],
+  capacity: [8],
+  dispatch: ['heuristic'],
+  mode: 'destination',
+  pattern: 'up-peak',
+  rate: 20,
+  minutes: 20,
+  drainMinutes: 10,
+  trials: 5,
+  seed: 1,
+  personWeight: 85, // kg of rated load per person of capacity
+};
+
+const CSV_COLUMNS = [
+  'pattern',
+  'floors',
+  'cars',
+  'capacity',
+  'dispatch',
+  'trials',
+  'requested',
+  'delivered_pct',
+  'wait_avg_s',
+  'wait_p95_s',
+  'journey_avg_s',
+  'journey_p95_s',
+  'longest_wait_s',
+  'utilisation_pct',
+  'energy_kwh',
+  'wh_per_passenger',
+];
+
+function mean(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((s, v) => s + v, 0) / present.length) * 100) / 100;
+}
+
+// Run one simulation of `arrivals` and return its report.
+function runTrial(createSystem, config, arrivals, options) {
+  const system = createSystem({
+    elevators: config.cars,
+    floors: options.floors,
+    silent: true,
+    seed: `${options.seed}-${config.trial}`,
+    dispatch: config.dispatch,
+    mode: options.mode,
+    maxPeople: config.capacity,
+    maxWeight: config.capacity * options.personWeight,
+  });
+  for (const a of arrivals) system.scheduleRequest(a.tick, a.from, a.to, a.weight);
+  const trafficTicks = Math.ceil((options.minutes * 60) / system.tickSeconds);
+  const drainTicks = Math.ceil((options.drainMinutes * 60) / system.tickSeconds);
+  system.runHeadless(trafficTicks);
+  for (let i = 0; i < drainTicks; i++) {
+    const s = system.summary();
+    if (s.waiting === 0 && s.onBoard === 0) break;
+    system.tick();
+  }
+  return system.report();
+}
+
+// One row per configuration, KPIs averaged over the trials.
+// `createSystem(params)` returns a new ElevatorSystem; `onRow` is told about each row as it finishes.
+function runBenchmark(createSystem, opts = {}, onRow = () => {}) {
+  const options = { ...DEFAULTS, ...opts };
+  for (const key of ['cars', 'capacity']) {
+    if (!options[key].every((n) => Number.isInteger(n) && n >= 1)) {
+      throw new Error(`Benchmark "${key}" must be a list of positive integers`);
+    }
+  }
+  if (!Number.isInteger(options.trials) || options.trials < 1) throw new Error('Benchmark "trials" must be a positive integer');
+
+  // the same arrivals for every configuration in a trial
+  const traffic = [];
+  for (let trial = 1; trial <= options.trials; trial++) {
+    traffic.push(
+      generateTraffic({
+        floors: options.floors,
+        pattern: options.pattern,
+        rate: options.rate,
+        minutes: options.minutes,
+        seed: `${options.seed}-${trial}`,
+      })
+    );
+  }
+
+  const rows = [];
+  for (const cars of options.cars) {
+    for (const capacity of options.capacity) {
+      for (const dispatch of options.dispatch) {
+        const reports = traffic.map((arrivals, i) =>
+          runTrial(createSystem, { cars, capacity, dispatch, trial: i + 1 }, arrivals, options)
+        );
+        const requested = reports.reduce((s, r) => s + r.passengers.requested, 0);
+        const delivered = reports.reduce((s, r) => s + r.passengers.delivered, 0);
+        const row = {
+          pattern: options.pattern,
+          floors: options.floors,
+          cars,
+          capacity,
+          dispatch,
+          trials: options.trials,
+          requested: Math.round(requested / reports.length),
+          delivered_pct: requested > 0 ? Math.round((delivered / requested) * 1000) / 10 : null,
+          wait_avg_s: mean(reports.map((r) => r.waitTime.avg)),
+          wait_p95_s: mean(reports.map((r) => r.waitTime.p95)),
+          journey_avg_s: mean(reports.map((r) => r.journeyTime.avg)),
+          journey_p95_s: mean(reports.map((r) => r.journeyTime.p95)),
+          longest_wait_s: Math.max(...reports.map((r) => (r.longestWait ? r.longestWait.wait : 0))),
+          utilisation_pct: mean(reports.map((r) => (mean(r.elevators.map((e) => e.utilisation)) || 0) * 100)),
+          energy_kwh: mean(reports.map((r) => r.energy.kWh)),
+          wh_per_passenger: mean(reports.map((r) => r.energy.whPerPassenger)),
+        };
+        rows.push(row);
+        onRow(row);
+      }
+    }
+  }
+  return rows;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) lines.push(CSV_COLUMNS.map((c) => (row[c] === null ? '' : row[c])).join(','));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DEFAULTS,
+  CSV_COLUMNS,
+  runBenchmark,
+  toCsv,
+};
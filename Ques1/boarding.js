@@ -0,0 +1,71 @@
+/**
+ * Who gets into a car, and in which order
+ *
+ * Passengers waiting at a landing form one queue per direction. A car with
+ * open doors takes the queue for the direction it is going (or, with no
+ * direction yet, the direction of whoever is first in line) in this order:
+ *
+ *   1. priority class (see PRIORITY_CLASSES)
+ *   2. first come, first served (request time)
+ *
+ * When the next passenger does not fit, the car's boarding policy decides:
+ *   skip  let them wait and try the people behind them (default)
+ *   hold  stop boarding: the rest of the queue waits with them for the next car,
+ *         so nobody overtakes someone who was there first
+ *
+ * Priority classes also change how long a passenger may wait before the
+ * system escalates the request to a dedicated car (ElevatorSystem maxWaitTicks
+ * x waitFactor). Freight rides alone: it only boards an empty car, and
+ * nobody boards a car that carries it.
+ */
+
+const { DIR } = require('./constants');
+
+const PRIORITY_CLASSES = {
+  wheelchair: { rank: 0, waitFactor: 0.5 },
+  vip: { rank: 1, waitFactor: 0.5 },
+  normal: { rank: 2, waitFactor: 1 },
+  freight: { rank: 3, waitFactor: 2, alone: true },
+};
+
+const BOARDING_POLICIES = ['skip', 'hold'];
+
+function priorityClass(passenger) {
+  return PRIORITY_CLASSES[passenger.priority] || PRIORITY_CLASSES.normal;
+}
+
+function tripDirection(passenger) {
+  return passenger.to > passenger.from ? DIR.UP : DIR.DOWN;
+}
+
+// priority first, then whoever asked first (sort is stable for equal times)
+function boardingOrder(a, b) {
+  return priorityClass(a).rank - priorityClass(b).rank || a.requestedAt - b.requestedAt;
+}
+
+// Waiting passengers in `candidates` (already filtered to this landing) that
+// board going `direction`, in boarding order. With DIR.NONE the first in line
+// picks the direction.
+function boardingQueue(candidates, direction) {
+  const ordered = candidates.slice().sort(boardingOrder);
+  if (ordered.length === 0) return ordered;
+  const dir = direction === DIR.NONE ? tripDirection(ordered[0]) : direction;
+  return ordered.filter((p) => tripDirection(p) === dir);
+}
+
+// room for one more passenger, counting people, weight and freight rules
+function fits(el, passenger) {
+  if (el.occupancyCount() + 1 > el.maxPeople) return false;
+  if (el.occupancyWeight() + passenger.weight > el.maxWeight) return false;
+  if (el.passengers.some((p) => priorityClass(p).alone)) return false;
+  if (priorityClass(passenger).alone && el.passengers.length > 0) return false;
+  return true;
+}
+
+module.exports = {
+  PRIORITY_CLASSES,
+  BOARDING_POLICIES,
+  priorityClass,
+  boardingQueue,
+  fits,
+};
@@ -0,0 +1,36 @@
+// Shared constants for the elevator simulation
+
+// Elevator states
+const STATES = {
+  IDLE: 'IDLE',
+  MOVING: 'MOVING',
+  OPEN_DOOR: 'OPEN_DOOR',
+  CLOSE_DOOR: 'CLOSE_DOOR',
+  OUT_OF_SERVICE: 'OUT_OF_SERVICE', // failed; needs an operator to return it
+  MAINTENANCE: 'MAINTENANCE', // taken out on purpose by an operator
+  FIRE_SERVICE: 'FIRE_SERVICE', // recalled to the fire lobby, ignores calls
+};
+
+// Direction constants
+const DIR = {
+  UP: 'UP',
+  DOWN: 'DOWN',
+  NONE: 'NONE',
+};
+
+// Request lifecycle:
+// QUEUED -> ASSIGNED(elevatorId) -> BOARDED -> DELIVERED, or CANCELLED / EXPIRED while waiting
+const REQUEST_STATES = {
+  QUEUED: 'QUEUED',
+  ASSIGNED: 'ASSIGNED',
+  BOARDED: 'BOARDED',
+  DELIVERED: 'DELIVERED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+};
+
+module.exports = {
+  STATES,
+  DIR,
+  REQUEST_STATES,
+};
@@ -0,0 +1,290 @@
+/**
+ * Dispatch strategies
+ *
+ * A dispatcher decides which car answers a request. Every dispatcher is an
+ * object with:
+ *   name                               - strategy name shown in summaries
+ *   select(passenger, elevators, sys)  - returns the chosen Elevator or null
+ *
+ * `passenger` is either a Passenger ({ from, to, weight }) or, in hall mode,
+ * a hall call ({ from, direction, weight: 0 }).
+ *
+ * Built-in strategies (pick one with `new ElevatorSystem(n, f, { dispatch: 'eta' })`):
+ * - heuristic:  the original scoring (distance x10, -1000 at floor, -200 same direction, -50 idle)
+ * - nearest:    closest car, ignoring direction
+ * - collective: SCAN/LOOK collective control — cost is the distance the car
+ *               travels along its current sweep before it can serve the call
+ * - eta:        estimated seconds until pickup along the same sweep, using the
+ *               car's motion model (motion.js): a run from standstill between
+ *               each queued stop, plus a door cycle at every stop on the way
+ *
+ * Any of them can run in energy-saving mode ("eta+energy", or `energySaving:
+ * true | { maxExtraWait }` on ElevatorSystem): among the cars that can reach
+ * the caller at most `maxExtraWait` seconds later than the car the strategy
+ * picked, the one that serves the call for the least energy (energy.js) goes.
+ */
+
+const { STATES, DIR } = require('./constants');
+const { travelTime, doorCycleTime } = require('./motion');
+const { tripWh } = require('./energy');
+
+const ENERGY_SAVING_DEFAULTS = {
+  maxExtraWait: 15, // s of extra wait traded for a cheaper car
+};
+
+// hall calls carry their direction; passenger requests imply it
+function requestDirection(passenger) {
+  if (passenger.direction) return passenger.direction;
+  return passenger.to > passenger.from ? DIR.UP : DIR.DOWN;
+}
+
+// a car can take the passenger only if it has room for them
+function canCarry(el, passenger) {
+  if (el.isFull()) return false;
+  if (passenger.weight + el.occupancyWeight() > el.maxWeight) return false;
+  return true;
+}
+
+// Build a dispatcher from a score function (lower is better).
+// Ties go to the lowest-numbered car, matching the original loop.
+function scoreDispatcher(name, score) {
+  return {
+    name,
+    select(passenger, elevators, system) {
+      let bestElevator = null;
+      let bestScore = Infinity;
+      for (const el of elevators) {
+        if (!canCarry(el, passenger)) continue;
+        const s = score(el, passenger, system);
+        if (s < bestScore) {
+          bestScore = s;
+          bestElevator = el;
+        }
+      }
+      return bestElevator;
+    },
+  };
+}
+
+function heuristicScore(el, passenger) {
+  // Heuristic to pick best elevator:
+  // - prefer elevator already at the floor and not full => open door immediately
+  // - prefer elevator moving towards the floor in same direction (and will pass by)
+  // - prefer idle elevator closest to the floor
+  const reqFloor = passenger.from;
+  const reqDir = requestDirection(passenger);
+
+  const dist = Math.abs(el.currentFloor - reqFloor);
+  let score = dist * 10; // base cost by distance
+
+  // if elevator is at floor
+  if (el.currentFloor === reqFloor && (el.state === STATES.IDLE || el.state === STATES.OPEN_DOOR || el.state === STATES.CLOSE_DOOR)) {
+    score -= 1000; // immediate best
+  }
+
+  // If elevator is moving and direction matches and will pass the floor, prefer it
+  if (el.state === STATES.MOVING) {
+    if (
+      (el.direction === DIR.UP && el.currentFloor <= reqFloor && reqDir === DIR.UP) ||
+      (el.direction === DIR.DOWN && el.currentFloor >= reqFloor && reqDir === DIR.DOWN)
+    ) {
+      score -= 200; // good candidate
+    } else {
+      score += 50; // opposite direction
+    }
+  }
+
+  // if idle, small bonus
+  if (el.state === STATES.IDLE) score -= 50;
+  return score;
+}
+
+function nearestScore(el, passenger) {
+  return Math.abs(el.currentFloor - passenger.from);
+}
+
+/**
+ * Route a LOOK car follows to pick up a call at `floor` heading `reqDir`.
+ * The car finishes its current sweep (up to its furthest target), reverses,
+ * and so on until it passes `floor` in the requested direction.
+ * Returns { distance, stops, path } where stops counts queued targets visited
+ * first and path lists the floors the car stops at, ending with `floor`.
+ */
+function lookRoute(el, floor, reqDir) {
+  const cur = el.currentFloor;
+  const targets = Array.from(el.targets);
+  const dir = el.direction;
+
+  if (dir === DIR.NONE || targets.length === 0) {
+    return { distance: Math.abs(cur - floor), stops: 0, path: [floor] };
+  }
+
+  const top = Math.max(cur, floor, ...targets);
+  const bottom = Math.min(cur, floor, ...targets);
+  const legs = [];
+  if (dir === DIR.UP) {
+    if (reqDir === DIR.UP && floor >= cur) {
+      legs.push([cur, floor]);
+    } else if (reqDir === DIR.DOWN) {
+      legs.push([cur, top], [top, floor]);
+    } else {
+      legs.push([cur, top], [top, bottom], [bottom, floor]);
+    }
+  } else {
+    if (reqDir === DIR.DOWN && floor <= cur) {
+      legs.push([cur, floor]);
+    } else if (reqDir === DIR.UP) {
+      legs.push([cur, bottom], [bottom, floor]);
+    } else {
+      legs.push([cur, bottom], [bottom, top], [top, floor]);
+    }
+  }
+
+  let distance = 0;
+  const visited = new Set();
+  const path = [];
+  for (const [a, b] of legs) {
+    distance += Math.abs(b - a);
+    const lo = Math.min(a, b);
+    const hi = Math.max(a, b);
+    // a target on the request floor is served by the same stop
+    const onLeg = targets.filter((t) => t !== floor && t !== cur && t >= lo && t <= hi && !visited.has(t));
+    onLeg.sort((x, y) => (b >= a ? x - y : y - x));
+    for (const t of onLeg) {
+      visited.add(t);
+      path.push(t);
+    }
+  }
+  path.push(floor);
+  return { distance, stops: visited.size, path };
+}
+
+function collectiveScore(el, passenger) {
+  return lookRoute(el, passenger.from, requestDirection(passenger)).distance;
+}
+
+// Seconds until `el` can open its doors at `floor` for a call going `reqDir`.
+function estimatePickup(el, floor, reqDir) {
+  const { path } = lookRoute(el, floor, reqDir);
+  let eta = 0;
+  let level = el.position;
+  path.forEach((stop, i) => {
+    eta += travelTime(el.motion, Math.abs(el.levels[stop] - level));
+    if (i < path.length - 1) eta += doorCycleTime(el.motion);
+    level = el.levels[stop];
+  });
+  // a car standing with its doors open has to finish the dwell and close before leaving
+  if (el.state === STATES.OPEN_DOOR && el.currentFloor !== floor) eta += el.doorTimer + el.motion.doorCloseTime;
+  if (el.state === STATES.CLOSE_DOOR && el.currentFloor !== floor) eta += el.doorTimer;
+  return eta;
+}
+
+function etaScore(el, passenger) {
+  return estimatePickup(el, passenger.from, requestDirection(passenger));
+}
+
+// is `el` sweeping `dir` with a stop at or beyond `floor`? (it passes `floor` anyway)
+function sweepsPast(el, floor, dir) {
+  if (el.direction !== dir) return false;
+  for (const t of el.targets) {
+    if (dir === DIR.UP ? el.currentFloor <= floor && t >= floor : el.currentFloor >= floor && t <= floor) return true;
+  }
+  return false;
+}
+
+// Extra Wh for `el` to serve `passenger`: the run to the pickup (unless the car
+// passes it anyway), the ride (only the extra weight if the car makes that run
+// anyway) and a door cycle at each floor that is not a stop already.
+function serviceWh(el, passenger) {
+  const from = passenger.from;
+  const dir = requestDirection(passenger);
+  const load = el.occupancyWeight();
+  const { path } = lookRoute(el, from, dir);
+  const previous = path.length > 1 ? path[path.length - 2] : el.currentFloor;
+  let wh = 0;
+  if (previous !== from && !sweepsPast(el, from, el.levels[from] > el.levels[previous] ? DIR.UP : DIR.DOWN)) {
+    wh += tripWh(el, previous, from, load);
+  }
+  const openHere = el.currentFloor === from && el.state === STATES.OPEN_DOOR;
+  if (!el.targets.has(from) && !openHere) wh += el.energy.options.doorCycleWh;
+  // hall calls only know their direction
+  if (passenger.to !== undefined) {
+    wh += tripWh(el, from, passenger.to, load + passenger.weight);
+    if (sweepsPast(el, passenger.to, dir)) wh -= tripWh(el, from, passenger.to, load);
+    if (!el.targets.has(passenger.to)) wh += el.energy.options.doorCycleWh;
+  }
+  return wh;
+}
+
+// `true`, `false`/undefined or { maxExtraWait } -> the options, or null when off
+function energySavingOptions(value) {
+  if (value === undefined || value === null || value === false) return null;
+  const options = { ...ENERGY_SAVING_DEFAULTS, ...(value === true ? {} : value) };
+  if (typeof options.maxExtraWait !== 'number' || !(options.maxExtraWait >= 0)) {
+    throw new Error('Energy saving "maxExtraWait" must be a non-negative number of seconds');
+  }
+  return options;
+}
+
+// Wrap `base` (a dispatcher): of the cars that can pick the passenger up within
+// maxExtraWait seconds of the one `base` chose, take the cheapest to run.
+function energySavingDispatcher(base, opts = true) {
+  const options = energySavingOptions(opts);
+  return {
+    name: `${base.name}+energy`,
+    base,
+    options,
+    select(passenger, elevators, system) {
+      const chosen = base.select(passenger, elevators, system);
+      if (!chosen) return null;
+      const dir = requestDirection(passenger);
+      const latest = estimatePickup(chosen, passenger.from, dir) + options.maxExtraWait;
+      let best = chosen;
+      let bestWh = serviceWh(chosen, passenger);
+      for (const el of elevators) {
+        if (el === chosen || !canCarry(el, passenger)) continue;
+        if (estimatePickup(el, passenger.from, dir) > latest) continue;
+        const wh = serviceWh(el, passenger);
+        if (wh < bestWh - 1e-9) {
+          bestWh = wh;
+          best = el;
+        }
+      }
+      return best;
+    },
+  };
+}
+
+const DISPATCHERS = {
+  heuristic: () => scoreDispatcher('heuristic', heuristicScore),
+  nearest: () => scoreDispatcher('nearest', nearestScore),
+  collective: () => scoreDispatcher('collective', collectiveScore),
+  eta: () => scoreDispatcher('eta', etaScore),
+};
+
+// Accept a strategy name (with "+energy" for energy-saving mode), a ready-made
+// dispatcher object, or nothing (default heuristic).
+function resolveDispatcher(dispatch) {
+  if (dispatch === undefined || dispatch === null) return DISPATCHERS.heuristic();
+  if (typeof dispatch === 'object' && typeof dispatch.select === 'function') return dispatch;
+  if (typeof dispatch === 'string' && dispatch.endsWith('+energy')) {
+    return energySavingDispatcher(resolveDispatcher(dispatch.slice(0, -'+energy'.length)));
+  }
+  const factory = DISPATCHERS[dispatch];
+  if (!factory) {
+    throw new Error(`Unknown dispatch strategy "${dispatch}". Available: ${Object.keys(DISPATCHERS).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  DISPATCHERS,
+  resolveDispatcher,
+  scoreDispatcher,
+  canCarry,
+  lookRoute,
+  estimatePickup,
+  serviceWh,
+  energySavingOptions,
+  energySavingDispatcher,
+};
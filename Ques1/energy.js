@@ -0,0 +1,155 @@
+/**
+ * Energy model: what each car draws from the grid
+ *
+ * A traction car hangs against a counterweight that balances the empty car
+ * plus `counterweightRatio` of its rated load (maxWeight). Travelling lifts or
+ * lowers whatever is off balance, m = load - counterweightRatio x maxWeight:
+ *
+ *   heavy car going up, light car going down   the motor works: m·g·h / motorEfficiency
+ *   heavy car going down, light car going up   the drive regenerates: m·g·h x regenEfficiency
+ *
+ * so a full car going up costs the most and a full car going down pays some
+ * of it back. On top of that every metre travelled costs `travelWhPerMetre`
+ * (friction, drive losses), every door cycle costs `doorCycleWh`, and a car
+ * that is not moving draws `standbyWatts` (controller, lighting, fans).
+ *
+ * Per-elevator options (scenario `defaults`, `elevators[i]` or ElevatorSystem opts):
+ *   counterweightRatio  share of the rated load balanced by the counterweight (0.45)
+ *   motorEfficiency     share of the energy drawn that ends up lifting the load (0.75)
+ *   regenEfficiency     share of the energy released that is fed back (0.5; 0 = no regenerative drive)
+ *   travelWhPerMetre    Wh per metre travelled, whatever the load (0.6)
+ *   standbyWatts        W drawn while the car stands still (200)
+ *   doorCycleWh         Wh per door open/close cycle (2)
+ *
+ * Every car has an EnergyMeter: the energy of the current run (it restarts
+ * when runHeadless() or startSimulation() begins at tick 0; a run resumed from
+ * a snapshot carries on) and the car's total. Snapshots carry both over.
+ * Regenerated energy is subtracted from both.
+ */
+
+const DEFAULT_ENERGY = {
+  counterweightRatio: 0.45,
+  motorEfficiency: 0.75,
+  regenEfficiency: 0.5,
+  travelWhPerMetre: 0.6,
+  standbyWatts: 200,
+  doorCycleWh: 2,
+};
+
+const ENERGY_KEYS = Object.keys(DEFAULT_ENERGY);
+
+const GRAVITY = 9.81; // m/s²
+const JOULES_PER_WH = 3600;
+
+// options that are shares of something, so at most 1
+const RATIOS = ['counterweightRatio', 'motorEfficiency', 'regenEfficiency'];
+
+// pick the energy options out of an options object, falling back to the defaults
+function energyOptions(opts = {}) {
+  const energy = {};
+  for (const key of ENERGY_KEYS) {
+    const value = opts[key] === undefined ? DEFAULT_ENERGY[key] : opts[key];
+    if (typeof value !== 'number' || !(value >= 0) || (RATIOS.includes(key) && value > 1)) {
+      throw new Error(`Elevator option "${key}" must be a ${RATIOS.includes(key) ? 'number from 0 to 1' : 'non-negative number'}`);
+    }
+    energy[key] = value;
+  }
+  if (energy.motorEfficiency === 0) throw new Error('Elevator option "motorEfficiency" must be more than 0');
+  return energy;
+}
+
+// Energy to move a car carrying `load` kg over `metres` (negative = down).
+// Returns { drawn, regenerated } in Wh, both >= 0.
+function travelEnergy(options, maxWeight, load, metres) {
+  const work = ((load - options.counterweightRatio * maxWeight) * GRAVITY * metres) / JOULES_PER_WH;
+  const friction = Math.abs(metres) * options.travelWhPerMetre;
+  if (work >= 0) return { drawn: friction + work / options.motorEfficiency, regenerated: 0 };
+  return { drawn: friction, regenerated: -work * options.regenEfficiency };
+}
+
+// Net Wh for the car `el` to run from floor `from` to floor `to` with `load` kg aboard
+function tripWh(el, from, to, load) {
+  const e = travelEnergy(el.energy.options, el.maxWeight, load, el.levels[to] - el.levels[from]);
+  return e.drawn - e.regenerated;
+}
+
+function emptyTotals() {
+  return { travelWh: 0, regeneratedWh: 0, standbyWh: 0, doorWh: 0, doorCycles: 0 };
+}
+
+function netKwh(totals) {
+  return (totals.travelWh + totals.standbyWh + totals.doorWh - totals.regeneratedWh) / 1000;
+}
+
+function roundTotals(totals) {
+  const out = {};
+  for (const [key, value] of Object.entries(totals)) out[key] = Math.round(value * 1000) / 1000;
+  out.kWh = Math.round(netKwh(totals) * 10000) / 10000;
+  return out;
+}
+
+class EnergyMeter {
+  constructor(opts = {}) {
+    this.options = energyOptions(opts);
+    this.run = emptyTotals(); // since the current run started
+    this.total = emptyTotals(); // over the car's whole life, across runs and snapshots
+  }
+
+  add(key, amount) {
+    this.run[key] += amount;
+    this.total[key] += amount;
+  }
+
+  startRun() {
+    this.run = emptyTotals();
+  }
+
+  // Charge one tick of `el`: the run from `fromLevel` (metres) to where it is
+  // now, or standby if it did not move.
+  recordTick(el, fromLevel) {
+    const metres = el.position - fromLevel;
+    if (metres === 0) {
+      this.add('standbyWh', (this.options.standbyWatts * el.tickSeconds) / JOULES_PER_WH);
+      return;
+    }
+    const e = travelEnergy(this.options, el.maxWeight, el.occupancyWeight(), metres);
+    this.add('travelWh', e.drawn);
+    this.add('regeneratedWh', e.regenerated);
+  }
+
+  recordDoorCycle() {
+    this.add('doorWh', this.options.doorCycleWh);
+    this.add('doorCycles', 1);
+  }
+
+  runKwh() {
+    return netKwh(this.run);
+  }
+
+  totalKwh() {
+    return netKwh(this.total);
+  }
+
+  // rounded breakdown for status() and reports
+  status() {
+    return { run: roundTotals(this.run), total: roundTotals(this.total) };
+  }
+
+  toJSON() {
+    return { run: { ...this.run }, total: { ...this.total } };
+  }
+
+  restore(data) {
+    this.run = { ...emptyTotals(), ...data.run };
+    this.total = { ...emptyTotals(), ...data.total };
+  }
+}
+
+module.exports = {
+  DEFAULT_ENERGY,
+  ENERGY_KEYS,
+  energyOptions,
+  travelEnergy,
+  tripWh,
+  EnergyMeter,
+};
@@ -0,0 +1,161 @@
+/**
+ * Events emitted by Elevator and ElevatorSystem
+ *
+ * Every event is a plain object { type, tick, ...payload }. Elevator events
+ * also carry elevatorId and floor, and are re-emitted by the system, so one
+ * subscription on the system sees everything:
+ *
+ *   system.on('boarded', (e) => ...);   // one event type
+ *   system.on('event', (e) => ...);     // every event
+ *
+ * Console logging is just one subscriber (attachConsoleLogger); pass
+ * { silent: true } to ElevatorSystem to run without it.
+ */
+
+const EVENTS = {
+  // Elevator
+  ARRIVED: 'arrived', // reached a floor it has to stop at
+  DOORS_OPENED: 'doorsOpened',
+  DOORS_CLOSED: 'doorsClosed',
+  BOARDED: 'boarded',
+  ALIGHTED: 'alighted',
+  CAPACITY_REJECTED: 'capacityRejected', // no room for a passenger (at boarding or at dispatch)
+  PARKING: 'parking', // idle car sent to its home floor
+  // ElevatorSystem
+  REQUEST_QUEUED: 'requestQueued',
+  REQUEST_ASSIGNED: 'requestAssigned',
+  REQUEST_REASSIGNED: 'requestReassigned',
+  REQUEST_CANCELLED: 'requestCancelled',
+  REQUEST_EXPIRED: 'requestExpired',
+  REQUEST_INVALID: 'requestInvalid',
+  REQUEST_ESCALATED: 'requestEscalated', // waited past the max wait: a car is dedicated to it
+  HALL_CALL: 'hallCall', // a landing button was pressed (or pressed again)
+  HALL_CALL_ASSIGNED: 'hallCallAssigned',
+  CAR_CALL: 'carCall',
+  SERVICE_CHANGED: 'serviceChanged', // car taken out of / returned to service
+  EVACUATED: 'evacuated', // passenger let out before their destination
+  FIRE_RECALL: 'fireRecall', // fire recall activated or cleared
+  TRAFFIC_PATTERN: 'trafficPattern', // detected traffic pattern changed (see parking.js)
+  TICK: 'tick',
+};
+
+// events an Elevator emits itself (the system forwards these)
+const ELEVATOR_EVENTS = [
+  EVENTS.ARRIVED,
+  EVENTS.DOORS_OPENED,
+  EVENTS.DOORS_CLOSED,
+  EVENTS.BOARDED,
+  EVENTS.ALIGHTED,
+  EVENTS.CAPACITY_REJECTED,
+  EVENTS.EVACUATED,
+  EVENTS.PARKING,
+];
+
+const ARROW = { UP: '▲', DOWN: '▼', NONE: '' };
+
+// one log line per event, or null for events the console log skips
+function formatEvent(e) {
+  const car = `[Elevator-${e.elevatorId}]`;
+  switch (e.type) {
+    case EVENTS.ARRIVED:
+      return `${car} Arrived at floor ${e.floor}`;
+    case EVENTS.DOORS_OPENED:
+      return `${car} Doors open at floor ${e.floor}${e.direction !== 'NONE' ? ` (going ${e.direction})` : ''}`;
+    case EVENTS.DOORS_CLOSED:
+      return `${car} Doors closed at floor ${e.floor}`;
+    case EVENTS.BOARDED:
+      return `${car} Passenger ${e.passengerId} boarded at floor ${e.floor} -> ${e.to} (weight ${e.weight}kg)`;
+    case EVENTS.ALIGHTED:
+      return `${car} Passenger ${e.passengerId} alighted at floor ${e.floor}`;
+    case EVENTS.CAPACITY_REJECTED:
+      return e.elevatorId === null
+        ? `[System] No elevator has room for passenger ${e.passengerId} — request waits in queue`
+        : `${car} No room for passenger ${e.passengerId} at floor ${e.floor} (weight ${e.weight}kg)`;
+    case EVENTS.REQUEST_QUEUED:
+      return `[System] Request ${e.passengerId} queued: ${e.from} -> ${e.to} (weight ${e.weight}kg${
+        e.priority && e.priority !== 'normal' ? `, ${e.priority}` : ''
+      })`;
+    case EVENTS.REQUEST_ASSIGNED:
+      return `[System] Assigned passenger ${e.passengerId} to Elevator-${e.elevatorId} for ${e.from} -> ${e.to}`;
+    case EVENTS.REQUEST_REASSIGNED:
+      return e.elevatorId === null
+        ? `[System] Request ${e.passengerId} released from Elevator-${e.previousElevatorId} and queued (${e.reason})`
+        : `[System] Request ${e.passengerId} reassigned from Elevator-${e.previousElevatorId} to Elevator-${e.elevatorId} (${e.reason})`;
+    case EVENTS.REQUEST_CANCELLED:
+      return `[System] Request ${e.passengerId} cancelled`;
+    case EVENTS.REQUEST_EXPIRED:
+      return `[System] Request ${e.passengerId} expired after ${e.waited} ticks`;
+    case EVENTS.REQUEST_ESCALATED:
+      return `[System] Request ${e.passengerId} has waited ${e.waited} ticks — Elevator-${e.elevatorId} dedicated to it`;
+    case EVENTS.REQUEST_INVALID:
+      return `[System] ${e.reason} — ignored.`;
+    case EVENTS.HALL_CALL:
+      return `[System] Hall button ${ARROW[e.direction]} pressed at floor ${e.floor}`;
+    case EVENTS.HALL_CALL_ASSIGNED:
+      return e.elevatorId === null
+        ? `[System] Hall call ${e.direction} at floor ${e.floor} queued — no car available`
+        : `[System] Hall call ${e.direction} at floor ${e.floor} assigned to Elevator-${e.elevatorId}${e.reason ? ` (${e.reason})` : ''}`;
+    case EVENTS.CAR_CALL:
+      return `${car} Car button ${e.floor} pressed`;
+    case EVENTS.PARKING:
+      return `${car} Idle — parking at floor ${e.to} (${e.pattern})`;
+    case EVENTS.TRAFFIC_PATTERN:
+      return `[System] Traffic pattern: ${e.pattern} (was ${e.previous})`;
+    case EVENTS.SERVICE_CHANGED:
+      return `${car} Now ${e.state}${e.reason ? ` (${e.reason})` : ''}`;
+    case EVENTS.EVACUATED:
+      return `${car} Passenger ${e.passengerId} let out at floor ${e.floor} (was going to ${e.to})`;
+    case EVENTS.FIRE_RECALL:
+      return e.active
+        ? `[System] FIRE RECALL — all cars to floor ${e.lobby}, hall calls ignored`
+        : '[System] Fire recall cleared — normal service resumes';
+    default:
+      return null;
+  }
+}
+
+function printStatus(system, out) {
+  const st = system.status();
+  out('\n--- System Status ---');
+  for (const s of st.elevators) {
+    out(
+      `[Elevator-${s.id}] Floor:${s.floor} State:${s.state} Dir:${s.direction} People:${s.people} Weight:${s.weight} Targets:[${s.targets}]`
+    );
+  }
+  if (st.hallButtons.length > 0) {
+    out(`[System] Hall buttons lit: ${st.hallButtons.map((c) => `${c.floor}${ARROW[c.direction]}`).join(', ')}`);
+  }
+  if (st.fireRecall.active) out(`[System] FIRE RECALL active (lobby ${st.fireRecall.lobby})`);
+  if (st.parking.enabled) {
+    const homes = st.parking.homeFloors.map((h) => `E${h.elevatorId}:${h.floor}`).join(' ');
+    out(`[System] Traffic: ${st.parking.pattern} — home floors ${homes}`);
+  }
+  if (st.pending.length > 0) {
+    out(`[System] Pending Requests (${st.pending.length}): ${st.pending.map((r) => `${r.from}->${r.to}`).join(', ')}`);
+  } else {
+    out('[System] No pending requests');
+  }
+  out('---------------------\n');
+}
+
+// The classic console output: a line per event and a status block every tick.
+// Returns a function that detaches the logger again.
+function attachConsoleLogger(system, out = console.log) {
+  const onEvent = (e) => {
+    if (e.type === EVENTS.TICK) {
+      printStatus(system, out);
+      return;
+    }
+    const line = formatEvent(e);
+    if (line) out(line);
+  };
+  system.on('event', onEvent);
+  return () => system.off('event', onEvent);
+}
+
+module.exports = {
+  EVENTS,
+  ELEVATOR_EVENTS,
+  formatEvent,
+  attachConsoleLogger,
+};
@@ -0,0 +1,71 @@
+/**
+ * Building floors and the floors each car serves
+ *
+ * Floors are numbered 1..floors above ground; `basements` adds floors
+ * -1, -2, ... below floor 1 (there is no floor 0).
+ *
+ * Per-elevator options:
+ *   servedFloors  floors the car stops at: a list of floor numbers and
+ *                 "low..high" ranges, e.g. [1, "10..20"] or "-2..-1;1"
+ *                 (default: every floor). The car travels through the others.
+ *   skipStop      "odd" or "even": only stop at odd / even floors (floor 1,
+ *                 the lobby, is always kept). Applied on top of servedFloors.
+ */
+
+// every floor in the building, lowest first
+function buildingFloors(totalFloors, basements = 0) {
+  const floors = [];
+  for (let f = -basements; f <= -1; f++) floors.push(f);
+  for (let f = 1; f <= totalFloors; f++) floors.push(f);
+  return floors;
+}
+
+// Parse a servedFloors spec into a sorted list of floors that exist in `floors`.
+function parseServedFloors(spec, floors) {
+  if (spec === undefined || spec === null) return floors.slice();
+  const items = typeof spec === 'string' ? spec.split(/[;,]/) : Array.isArray(spec) ? spec : [spec];
+  const served = new Set();
+  for (const raw of items) {
+    const item = typeof raw === 'string' ? raw.trim() : raw;
+    if (item === '') continue;
+    let low;
+    let high;
+    if (typeof item === 'number') {
+      low = item;
+      high = item;
+    } else {
+      const m = String(item).match(/^(-?\d+)(?:\s*\.\.\s*(-?\d+))?$/);
+      if (!m) throw new Error(`Invalid served floor "${item}" (use a floor number or "low..high")`);
+      low = Number(m[1]);
+      high = m[2] === undefined ? low : Number(m[2]);
+    }
+    if (!Number.isInteger(low) || !Number.isInteger(high) || low > high) {
+      throw new Error(`Invalid served floor range "${item}"`);
+    }
+    if (!floors.includes(low) || !floors.includes(high)) {
+      throw new Error(`Served floor "${item}" is outside the building (${floors[0]}..${floors[floors.length - 1]})`);
+    }
+    for (const f of floors) if (f >= low && f <= high) served.add(f);
+  }
+  return floors.filter((f) => served.has(f));
+}
+
+// Floors a car stops at, from its servedFloors and skipStop options.
+function servedFloorsFor(opts, floors) {
+  let served = parseServedFloors(opts.servedFloors, floors);
+  if (opts.skipStop !== undefined) {
+    if (opts.skipStop !== 'odd' && opts.skipStop !== 'even') {
+      throw new Error(`Elevator option "skipStop" must be "odd" or "even"`);
+    }
+    const parity = opts.skipStop === 'odd' ? 1 : 0;
+    served = served.filter((f) => f === 1 || Math.abs(f) % 2 === parity);
+  }
+  if (served.length < 2) throw new Error('An elevator must serve at least two floors');
+  return served;
+}
+
+module.exports = {
+  buildingFloors,
+  parseServedFloors,
+  servedFloorsFor,
+};
@@ -0,0 +1,186 @@
+/**
+ * Run metrics / KPI report
+ *
+ * Built from the timestamps recorded on each Passenger (requestedAt,
+ * assignedAt, boardedAt, alightedAt — all in ticks) and the counters kept
+ * by each Elevator. Times in the report are in simulated seconds (ticks x
+ * tickSeconds, see motion.js), so runs with different tick lengths compare.
+ *
+ * - wait time:    request -> boarding
+ * - journey time: request -> arrival at the destination floor
+ * - energy:       net kWh per car (energy.js), for this run and in total; Wh
+ *                 per delivered passenger is worked out from the totals
+ */
+
+// nearest-rank percentile; returns null for an empty list
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return round(values.reduce((s, v) => s + v, 0) / values.length);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// kWh to the nearest Wh
+function roundKwh(kWh) {
+  return Math.round(kWh * 1000) / 1000;
+}
+
+function buildReport(system) {
+  const now = system.tickCount;
+  const passengers = system.passengers;
+  const tickSeconds = system.tickSeconds || 1;
+  const seconds = (ticks) => round(ticks * tickSeconds);
+
+  const waits = passengers.filter((p) => p.boardedAt !== null).map((p) => seconds(p.boardedAt - p.requestedAt));
+  const journeys = passengers.filter((p) => p.alightedAt !== null).map((p) => seconds(p.alightedAt - p.requestedAt));
+
+  // wait time per priority class (see boarding.js), for the classes that took part
+  const waitByPriority = {};
+  for (const p of passengers) {
+    if (p.boardedAt === null) continue;
+    const cls = p.priority || 'normal';
+    if (!waitByPriority[cls]) waitByPriority[cls] = [];
+    waitByPriority[cls].push(seconds(p.boardedAt - p.requestedAt));
+  }
+  for (const cls of Object.keys(waitByPriority)) {
+    const w = waitByPriority[cls];
+    waitByPriority[cls] = { boarded: w.length, avg: average(w), p95: percentile(w, 95) };
+  }
+
+  // longest wait so far, counting passengers who are still waiting at the end of the run;
+  // a cancelled or expired request stopped waiting when it ended
+  let longestWait = null;
+  for (const p of passengers) {
+    let waitedUntil = now;
+    if (p.boardedAt !== null) waitedUntil = p.boardedAt;
+    else if (p.endedAt !== null && p.endedAt !== undefined) waitedUntil = p.endedAt;
+    const wait = seconds(waitedUntil - p.requestedAt);
+    if (!longestWait || wait > longestWait.wait) {
+      longestWait = { id: p.id, from: p.from, to: p.to, wait, boarded: p.boardedAt !== null };
+    }
+  }
+
+  const elevators = system.elevators.map((el) => ({
+    id: el.id,
+    floorsTravelled: el.floorsTravelled,
+    stops: el.stops,
+    delivered: el.deliveredCount,
+    utilisation: now > 0 ? round(el.busyTicks / now) : 0,
+    capacityRejections: el.capacityRejections,
+    kWh: roundKwh(el.energy.runKwh()),
+    totalKWh: roundKwh(el.energy.totalKwh()),
+  }));
+  const runKwh = system.elevators.reduce((s, el) => s + el.energy.runKwh(), 0);
+  const totalKwh = system.elevators.reduce((s, el) => s + el.energy.totalKwh(), 0);
+
+  return {
+    ticks: now,
+    seconds: seconds(now),
+    passengers: {
+      requested: passengers.length,
+      boarded: waits.length,
+      delivered: journeys.length,
+      cancelled: passengers.filter((p) => p.state === 'CANCELLED').length,
+      expired: passengers.filter((p) => p.state === 'EXPIRED').length,
+      escalated: passengers.filter((p) => p.escalatedAt !== null && p.escalatedAt !== undefined).length,
+    },
+    waitTime: { avg: average(waits), p95: percentile(waits, 95) },
+    journeyTime: { avg: average(journeys), p95: percentile(journeys, 95) },
+    waitByPriority,
+    longestWait,
+    rejectedForCapacity: {
+      atDispatch: system.dispatchCapacityRejections,
+      atBoarding: elevators.reduce((s, e) => s + e.capacityRejections, 0),
+    },
+    energy: {
+      kWh: roundKwh(runKwh),
+      totalKWh: roundKwh(totalKwh),
+      whPerPassenger: journeys.length > 0 ? round((totalKwh * 1000) / journeys.length) : null,
+    },
+    elevators,
+  };
+}
+
+function fmt(v) {
+  return v === null || v === undefined ? '-' : String(v);
+}
+
+function table(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map((r) => fmt(r[i]).length)));
+  const line = (cells) => cells.map((c, i) => fmt(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), widths.map((w) => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+// human-readable version of buildReport()
+function formatReport(report) {
+  const out = [];
+  out.push('=== Run Report ===');
+  out.push(`Ticks: ${report.ticks} (${report.seconds}s)`);
+  out.push(
+    `Passengers: ${report.passengers.requested} requested, ${report.passengers.boarded} boarded, ${report.passengers.delivered} delivered`
+  );
+  if (report.passengers.cancelled || report.passengers.expired) {
+    out.push(`Cancelled: ${report.passengers.cancelled}  Expired: ${report.passengers.expired}`);
+  }
+  if (report.passengers.escalated) out.push(`Escalated to a dedicated car: ${report.passengers.escalated}`);
+  out.push('');
+  const rows = [
+    ['Wait time (s)', report.waitTime.avg, report.waitTime.p95],
+    ['Journey time (s)', report.journeyTime.avg, report.journeyTime.p95],
+  ];
+  // only worth a breakdown when someone other than a normal passenger travelled
+  const classes = Object.keys(report.waitByPriority);
+  if (classes.some((c) => c !== 'normal')) {
+    for (const cls of classes) {
+      const w = report.waitByPriority[cls];
+      rows.push([`  wait, ${cls} (${w.boarded})`, w.avg, w.p95]);
+    }
+  }
+  out.push(table(['KPI', 'avg', 'p95'], rows));
+  out.push('');
+  if (report.longestWait) {
+    const lw = report.longestWait;
+    out.push(
+      `Longest wait: ${lw.wait}s — passenger ${lw.id} (${lw.from} -> ${lw.to})${lw.boarded ? '' : ', still waiting'}`
+    );
+  }
+  out.push(
+    `Rejected for capacity: ${report.rejectedForCapacity.atDispatch} at dispatch, ${report.rejectedForCapacity.atBoarding} at boarding`
+  );
+  out.push(
+    `Energy: ${report.energy.kWh} kWh this run, ${report.energy.totalKWh} kWh in total` +
+      (report.energy.whPerPassenger !== null ? ` (${report.energy.whPerPassenger} Wh per passenger)` : '')
+  );
+  out.push('');
+  out.push(
+    table(
+      ['Elevator', 'Floors', 'Stops', 'Delivered', 'Utilisation', 'Cap. rejects', 'kWh', 'Total kWh'],
+      report.elevators.map((e) => [
+        e.id,
+        e.floorsTravelled,
+        e.stops,
+        e.delivered,
+        `${Math.round(e.utilisation * 100)}%`,
+        e.capacityRejections,
+        e.kWh,
+        e.totalKWh,
+      ])
+    )
+  );
+  return out.join('\n');
+}
+
+module.exports = {
+  buildReport,
+  formatReport,
+  percentile,
+};
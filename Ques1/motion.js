@@ -0,0 +1,158 @@
+/**
+ * Motion model: how long cars take to travel, open their doors and load
+ *
+ * Times are in simulated seconds; one tick is `tickSeconds` of them (1 by
+ * default, see ElevatorSystem). Distances are in metres.
+ *
+ * Per-elevator options (scenario `defaults`, `elevators[i]` or ElevatorSystem opts):
+ *   speed          rated speed, m/s
+ *   acceleration   m/s² (Infinity = full speed at once)
+ *   deceleration   m/s² (Infinity = stops at once)
+ *   doorOpenTime   s the doors take to open
+ *   doorDwellTime  s the doors stay fully open
+ *   doorCloseTime  s the doors take to close
+ *   boardingTime   s added to the dwell for each passenger getting in or out
+ *
+ * Building option:
+ *   floorHeight    metres per storey: a number, or one entry per floor (lowest first)
+ *
+ * The defaults reproduce the original model: one floor per tick, doors open
+ * for 2 ticks and take 1 tick to close, boarding is instant.
+ */
+
+const DEFAULT_MOTION = {
+  speed: 3,
+  acceleration: Infinity,
+  deceleration: Infinity,
+  doorOpenTime: 1,
+  doorDwellTime: 1,
+  doorCloseTime: 1,
+  boardingTime: 0,
+};
+
+const DEFAULT_FLOOR_HEIGHT = 3;
+
+const MOTION_KEYS = Object.keys(DEFAULT_MOTION);
+
+// Cars are moved in small steps inside a tick; arrivals snap to the floor.
+const SUBSTEP_SECONDS = 0.05;
+const EPSILON = 1e-9;
+
+// pick the motion options out of an options object, falling back to the defaults
+function motionOptions(opts = {}) {
+  const motion = {};
+  for (const key of MOTION_KEYS) {
+    const value = opts[key] === undefined ? DEFAULT_MOTION[key] : opts[key];
+    const positive = key === 'speed' || key === 'acceleration' || key === 'deceleration';
+    if (typeof value !== 'number' || Number.isNaN(value) || (positive ? !(value > 0) : value < 0)) {
+      throw new Error(`Elevator option "${key}" must be a ${positive ? 'positive' : 'non-negative'} number`);
+    }
+    motion[key] = value;
+  }
+  return motion;
+}
+
+// Height of every floor above floor 1 (basements are negative), keyed by floor
+// number. `floors` lists the building's floors lowest first (see floors.js).
+function floorLevels(floors, floorHeight = DEFAULT_FLOOR_HEIGHT) {
+  const heights = Array.isArray(floorHeight) ? floorHeight : Array(floors.length).fill(floorHeight);
+  if (heights.length < floors.length - 1) {
+    throw new Error(`"floorHeight" needs an entry for each of the ${floors.length} floors`);
+  }
+  const levels = {};
+  let level = 0;
+  floors.forEach((f, i) => {
+    levels[f] = level;
+    const h = heights[i];
+    if (i < floors.length - 1 && (typeof h !== 'number' || !(h > 0))) {
+      throw new Error('"floorHeight" entries must be positive numbers');
+    }
+    level += h;
+  });
+  const ground = levels[1];
+  for (const f of floors) levels[f] -= ground;
+  return levels;
+}
+
+// seconds per m/s of speed gained or lost (0 for an instant change)
+function inverse(rate) {
+  return Number.isFinite(rate) ? 1 / rate : 0;
+}
+
+// Seconds to travel `distance` metres from standstill to standstill.
+// Trapezoidal speed profile; short runs never reach full speed.
+function travelTime(motion, distance) {
+  if (distance <= 0) return 0;
+  const k = inverse(motion.acceleration) + inverse(motion.deceleration);
+  const v = motion.speed;
+  if (distance >= (v * v * k) / 2) return distance / v + (v * k) / 2;
+  const peak = Math.sqrt((2 * distance) / k);
+  return peak * k;
+}
+
+// Seconds from doors starting to open until they are shut again
+function doorCycleTime(motion, passengersMoving = 0) {
+  return motion.doorOpenTime + motion.doorDwellTime + passengersMoving * motion.boardingTime + motion.doorCloseTime;
+}
+
+// distance needed to stop from `velocity`
+function brakingDistance(motion, velocity) {
+  return (velocity * velocity * inverse(motion.deceleration)) / 2;
+}
+
+/**
+ * Advance a moving car by up to `seconds`, stopping at `stopLevel`.
+ * `car` holds { position, velocity } (metres, m/s along the direction of travel).
+ * Returns true once the car has come to rest at the floor.
+ */
+function advance(motion, car, stopLevel, sign, seconds) {
+  let left = seconds;
+  while (left > EPSILON) {
+    const remaining = (stopLevel - car.position) * sign;
+    const dt = Math.min(left, SUBSTEP_SECONDS);
+    if (remaining <= EPSILON) {
+      car.position = stopLevel;
+      car.velocity = 0;
+      return true;
+    }
+    let v = car.velocity;
+    if (remaining <= brakingDistance(motion, v) + EPSILON) {
+      // brake so the car comes to rest exactly at the floor
+      const decel = (v * v) / (2 * remaining);
+      if (!Number.isFinite(decel) || v * dt >= remaining - EPSILON || v - decel * dt <= 0) {
+        car.position = stopLevel;
+        car.velocity = 0;
+        return true;
+      }
+      car.position += sign * (v * dt - (decel * dt * dt) / 2);
+      car.velocity = v - decel * dt;
+    } else {
+      const next = Math.min(motion.speed, v + dt * motion.acceleration);
+      // never go faster than the car can still brake from before the floor
+      const cap = Number.isFinite(motion.deceleration) ? Math.sqrt(2 * motion.deceleration * remaining) : Infinity;
+      v = Math.min(next, cap);
+      const step = v * dt;
+      if (step >= remaining - EPSILON && !Number.isFinite(motion.deceleration)) {
+        car.position = stopLevel;
+        car.velocity = 0;
+        return true;
+      }
+      car.position += sign * Math.min(step, remaining);
+      car.velocity = v;
+    }
+    left -= dt;
+  }
+  return false;
+}
+
+module.exports = {
+  DEFAULT_MOTION,
+  DEFAULT_FLOOR_HEIGHT,
+  MOTION_KEYS,
+  motionOptions,
+  floorLevels,
+  travelTime,
+  doorCycleTime,
+  brakingDistance,
+  advance,
+};
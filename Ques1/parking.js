@@ -0,0 +1,161 @@
+/**
+ * Idle parking and traffic-pattern detection
+ *
+ * The policy looks at the requests made in the last `windowTicks` ticks and
+ * names the traffic pattern:
+ *   up-peak     most trips start at the lobby (morning arrivals)
+ *   down-peak   most trips end at the lobby (evening departures)
+ *   interfloor  trips between the upper floors, or a mix of both peaks
+ *   quiet       too few requests to tell
+ *
+ * Each pattern gives every car a home floor, spread within its bank (cars
+ * serving the same floors, see floors.js):
+ *   up-peak     the lobby
+ *   down-peak   evenly over the upper half of the bank's floors
+ *   interfloor  evenly over all of the bank's floors
+ *   quiet       one car per bank at the lobby, the rest spread out
+ *
+ * With parking enabled, a car that has stood idle and empty for `idleTicks`
+ * ticks travels to its home floor (doors stay shut when it gets there). The
+ * pattern and home floors are reported in ElevatorSystem.status() either way.
+ *
+ * Options (ElevatorSystem opts.parking, scenario "parking"): true, or
+ *   { windowTicks: 60, minRequests: 4, peakShare: 0.6, idleTicks: 5, lobby: 1 }
+ */
+
+const { STATES } = require('./constants');
+
+const PATTERNS = {
+  UP_PEAK: 'up-peak',
+  DOWN_PEAK: 'down-peak',
+  INTERFLOOR: 'interfloor',
+  QUIET: 'quiet',
+};
+
+const DEFAULTS = {
+  windowTicks: 60, // how far back the detector looks
+  minRequests: 4, // fewer requests than this in the window is "quiet"
+  peakShare: 0.6, // share of lobby trips that makes a peak
+  idleTicks: 5, // how long a car stands idle before it parks
+  lobby: 1,
+};
+
+class ParkingPolicy {
+  // opts: true, false/undefined (detect only), or an options object
+  constructor(opts) {
+    const options = typeof opts === 'object' && opts !== null ? opts : {};
+    this.enabled = opts === true || (typeof opts === 'object' && opts !== null && opts.enabled !== false);
+    for (const key of Object.keys(DEFAULTS)) {
+      const value = options[key] === undefined ? DEFAULTS[key] : options[key];
+      if (typeof value !== 'number' || Number.isNaN(value) || (key !== 'lobby' && !(value >= 0))) {
+        throw new Error(`Parking option "${key}" must be a number`);
+      }
+      this[key] = value;
+    }
+    this.pattern = PATTERNS.QUIET;
+    this.homeFloors = new Map(); // elevatorId -> floor
+    this.idleFor = new Map(); // elevatorId -> ticks idle and empty
+  }
+
+  // Name the traffic pattern from the requests made in the last windowTicks ticks.
+  detect(system) {
+    const since = system.tickCount - this.windowTicks;
+    let total = 0;
+    let fromLobby = 0;
+    let toLobby = 0;
+    // passengers are kept in request order, so walk back until the window starts
+    for (let i = system.passengers.length - 1; i >= 0; i--) {
+      const p = system.passengers[i];
+      if (p.requestedAt < since) break;
+      total++;
+      if (p.from === this.lobby && p.to > p.from) fromLobby++;
+      if (p.to === this.lobby && p.from > p.to) toLobby++;
+    }
+    if (total < this.minRequests) return PATTERNS.QUIET;
+    if (fromLobby / total >= this.peakShare) return PATTERNS.UP_PEAK;
+    if (toLobby / total >= this.peakShare) return PATTERNS.DOWN_PEAK;
+    return PATTERNS.INTERFLOOR;
+  }
+
+  // Home floor for every car in service, for the given pattern.
+  plan(pattern, elevators) {
+    const banks = new Map(); // served floors -> cars
+    for (const el of elevators) {
+      if (!el.isInService()) continue;
+      const key = Array.from(el.servedFloors).join(',');
+      if (!banks.has(key)) banks.set(key, []);
+      banks.get(key).push(el);
+    }
+    const homes = new Map();
+    for (const cars of banks.values()) {
+      const floors = Array.from(cars[0].servedFloors).sort((a, b) => a - b);
+      const lobby = cars[0].nearestServedFloor(this.lobby);
+      if (pattern === PATTERNS.UP_PEAK) {
+        for (const el of cars) homes.set(el.id, lobby);
+      } else if (pattern === PATTERNS.DOWN_PEAK) {
+        spread(cars, floors.slice(Math.floor(floors.length / 2)), homes);
+      } else if (pattern === PATTERNS.INTERFLOOR) {
+        spread(cars, floors, homes);
+      } else {
+        homes.set(cars[0].id, lobby);
+        spread(cars.slice(1), floors.filter((f) => f !== lobby), homes);
+      }
+    }
+    return homes;
+  }
+
+  // Called once per tick after the cars have moved.
+  update(system) {
+    this.pattern = this.detect(system);
+    this.homeFloors = this.plan(this.pattern, system.elevators);
+
+    for (const el of system.elevators) {
+      const idle = el.state === STATES.IDLE && el.isInService() && el.targets.size === 0 && el.passengers.length === 0;
+      this.idleFor.set(el.id, idle ? (this.idleFor.get(el.id) || 0) + 1 : 0);
+      if (!this.enabled || !idle || this.idleFor.get(el.id) < this.idleTicks) continue;
+      const home = this.homeFloors.get(el.id);
+      if (home !== undefined && home !== el.currentFloor) el.parkAt(home, this.pattern);
+    }
+  }
+
+  // for snapshots (see snapshot.js)
+  toJSON() {
+    const options = {};
+    for (const key of Object.keys(DEFAULTS)) options[key] = this[key];
+    return {
+      enabled: this.enabled,
+      options,
+      pattern: this.pattern,
+      homeFloors: Array.from(this.homeFloors),
+      idleFor: Array.from(this.idleFor),
+    };
+  }
+
+  restore(data) {
+    this.pattern = data.pattern;
+    this.homeFloors = new Map(data.homeFloors);
+    this.idleFor = new Map(data.idleFor);
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      pattern: this.pattern,
+      homeFloors: Array.from(this.homeFloors, ([elevatorId, floor]) => ({ elevatorId, floor })),
+    };
+  }
+}
+
+// evenly spaced floors from `floors` (sorted), one per car in id order
+function spread(cars, floors, homes) {
+  if (floors.length === 0) return;
+  cars.forEach((el, i) => {
+    const idx = Math.min(floors.length - 1, Math.floor(((i + 0.5) * floors.length) / cars.length));
+    homes.set(el.id, floors[idx]);
+  });
+}
+
+module.exports = {
+  ParkingPolicy,
+  PATTERNS,
+};
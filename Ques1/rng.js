@@ -0,0 +1,44 @@
+/**
+ * Seeded random numbers for reproducible runs
+ *
+ * Shared by ElevatorSystem (request ids) and the traffic generator
+ * (traffic.js), so one seed replays a whole run.
+ */
+
+// Small seeded PRNG (mulberry32) so runs can be replayed exactly.
+// Returns a function producing floats in [0, 1) like Math.random; its
+// getState() / setState() let a snapshot carry on the same sequence.
+function createRng(seed) {
+  let a = hashSeed(seed);
+  function rng() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  rng.getState = () => a;
+  rng.setState = (state) => {
+    a = state | 0;
+  };
+  return rng;
+}
+
+// accept numbers or strings as seeds; a numeric string ("42" from --seed 42) is the
+// same seed as the number, so the CLI and a scenario file give the same run
+function hashSeed(seed) {
+  if (typeof seed === 'string' && /^-?\d+(\.\d+)?$/.test(seed)) seed = Number(seed);
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+module.exports = {
+  createRng,
+  hashSeed,
+};
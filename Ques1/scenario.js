@@ -0,0 +1,280 @@
+/**
+ * Scenario files for the elevator simulation
+ *
+ * A scenario describes the building and a timed list of passenger arrivals.
+ * Two formats are supported:
+ *
+ * JSON (*.json):
+ *   {
+ *     "name": "morning-rush",
+ *     "floors": 12,
+ *     "elevators": 3,                      // or an array of per-elevator options
+ *     "defaults": { "maxPeople": 8, "maxWeight": 680 },
+ *     "ticks": 120,                        // optional, how long to run
+ *     "seed": 1,                           // optional, for reproducible ids
+ *     "dispatch": "eta",                   // optional, see dispatch.js
+ *     "mode": "hall",                      // optional, "destination" (default) or "hall"
+ *     "basements": 2,                      // optional, adds floors -1 and -2
+ *     "floorHeight": 3.5,                  // optional, metres per storey (or one per floor)
+ *     "tickSeconds": 0.5,                  // optional, simulated seconds per tick
+ *     "parking": true,                     // optional, park idle cars (or options, see parking.js)
+ *     "arrivals": [
+ *       { "tick": 1, "from": 1, "to": 7, "weight": 60 },
+ *       { "tick": 2, "from": 1, "to": 9, "priority": "wheelchair" }  // see boarding.js
+ *     ],
+ *     "maxWaitTicks": 90,                  // optional, escalate longer waits to a dedicated car
+ *     "energySaving": true,                // optional, or { "maxExtraWait": 20 } (see dispatch.js)
+ *     "traffic": { "pattern": "up-peak", "rate": 20, "minutes": 10 }  // optional, see traffic.js
+ *   }
+ *
+ *   "elevators" may also be a list such as
+ *   [{ "maxPeople": 8 }, { "maxPeople": 12, "maxWeight": 1000 }]
+ *   where each entry overrides "defaults" for that car. Besides capacity,
+ *   cars take the motion options from motion.js (speed, acceleration,
+ *   deceleration, doorOpenTime, doorDwellTime, doorCloseTime, boardingTime)
+ *   and zoning from floors.js, e.g. a high-rise express car:
+ *   { "servedFloors": [1, "12..20"] }  or a skip-stop car: { "skipStop": "odd" }.
+ *   "traffic" adds generated arrivals (Poisson, from an origin/destination
+ *   matrix) to the listed ones; it uses the scenario's seed unless it has its own.
+ *   Cars may also set "boarding": "skip" (default) or "hold" (see boarding.js),
+ *   and the energy options from energy.js (counterweightRatio, motorEfficiency,
+ *   regenEfficiency, travelWhPerMetre, standbyWatts, doorCycleWh).
+ *   Every arrival must be servable by at least one car.
+ *
+ * CSV (*.csv): building settings as `# key = value` comment lines, then
+ * a `tick,from,to,weight` header (plus an optional `priority` column) and one
+ * arrival per row.
+ *   # name = lunch
+ *   # floors = 12
+ *   # elevators = 3
+ *   # maxPeople = 8              (applies to every car)
+ *   # elevator.2.maxWeight = 900 (applies to car 2 only)
+ *   # elevator.3.servedFloors = -2..-1;1
+ *   # floorHeight = 3.5
+ *   # parking = true
+ *   # energySaving = true
+ *   tick,from,to,weight
+ *   1,1,7,60
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MOTION_KEYS, motionOptions, floorLevels } = require('./motion');
+const { ENERGY_KEYS, energyOptions } = require('./energy');
+const { energySavingOptions } = require('./dispatch');
+const { buildingFloors, servedFloorsFor } = require('./floors');
+const { ParkingPolicy } = require('./parking');
+const { generateTraffic } = require('./traffic');
+const { PRIORITY_CLASSES, BOARDING_POLICIES } = require('./boarding');
+
+// options a scenario may set per elevator
+const ZONING_KEYS = ['servedFloors', 'skipStop'];
+const ELEVATOR_OPTION_KEYS = ['maxPeople', 'maxWeight', 'boarding', ...MOTION_KEYS, ...ENERGY_KEYS, ...ZONING_KEYS];
+// options whose CSV values stay text
+const TEXT_KEYS = [...ZONING_KEYS, 'boarding'];
+
+function loadScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const scenario = parseScenario(text, format);
+  if (!scenario.name) scenario.name = path.basename(file, path.extname(file));
+  return scenario;
+}
+
+function parseScenario(text, format = 'json') {
+  const raw = format === 'csv' ? parseCsv(text) : JSON.parse(text);
+  return normalizeScenario(raw);
+}
+
+function parseCsv(text) {
+  const raw = { elevators: 1, defaults: {}, arrivals: [] };
+  const perElevator = {};
+  let header = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    if (trimmed.startsWith('#')) {
+      const m = trimmed.slice(1).match(/^\s*([\w.]+)\s*=\s*(.+?)\s*$/);
+      if (!m) return; // plain comment
+      const [, key, value] = m;
+      const elMatch = key.match(/^elevator\.(\d+)\.(\w+)$/);
+      // zoning and boarding options stay text ("1;10..20", "odd", "hold"); everything else is a number
+      const parsed = TEXT_KEYS.includes(elMatch ? elMatch[2] : key) ? value : Number(value);
+      if (elMatch) {
+        const idx = Number(elMatch[1]);
+        perElevator[idx] = perElevator[idx] || {};
+        perElevator[idx][elMatch[2]] = parsed;
+      } else if (ELEVATOR_OPTION_KEYS.includes(key)) {
+        raw.defaults[key] = parsed;
+      } else if (key === 'name' || key === 'dispatch' || key === 'mode') {
+        raw[key] = value;
+      } else if (key === 'parking' || key === 'energySaving') {
+        raw[key] = value === 'true' || value === '1';
+      } else {
+        raw[key] = Number(value);
+      }
+      return;
+    }
+
+    const cells = trimmed.split(',').map((c) => c.trim());
+    if (!header) {
+      header = cells.map((c) => c.toLowerCase());
+      for (const col of ['tick', 'from', 'to']) {
+        if (!header.includes(col)) throw new Error(`CSV header is missing column "${col}" (line ${i + 1})`);
+      }
+      return;
+    }
+    const row = {};
+    header.forEach((col, c) => {
+      if (cells[c] !== undefined && cells[c] !== '') row[col] = col === 'priority' ? cells[c] : Number(cells[c]);
+    });
+    row.line = i + 1;
+    raw.arrivals.push(row);
+  });
+
+  const overridden = Object.keys(perElevator).map(Number);
+  if (overridden.length > 0) {
+    const count = Math.max(raw.elevators, ...overridden);
+    raw.elevators = [];
+    for (let i = 1; i <= count; i++) raw.elevators.push(perElevator[i] || {});
+  }
+  return raw;
+}
+
+function normalizeScenario(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Scenario must be an object');
+
+  const floors = raw.floors;
+  if (!Number.isInteger(floors) || floors < 2) throw new Error('Scenario "floors" must be an integer >= 2');
+
+  const defaults = pickElevatorOptions(raw.defaults || {});
+  let elevators;
+  if (Array.isArray(raw.elevators)) {
+    elevators = raw.elevators.map((opts) => ({ ...defaults, ...pickElevatorOptions(opts || {}) }));
+  } else {
+    const count = raw.elevators === undefined ? 1 : raw.elevators;
+    if (!Number.isInteger(count)) throw new Error('Scenario "elevators" must be an integer or an array');
+    elevators = Array.from({ length: count }, () => ({ ...defaults }));
+  }
+  if (elevators.length < 1) throw new Error('Scenario needs at least one elevator');
+
+  const basements = raw.basements === undefined ? 0 : raw.basements;
+  if (!Number.isInteger(basements) || basements < 0) throw new Error('Scenario "basements" must be an integer >= 0');
+  const allFloors = buildingFloors(floors, basements);
+  const served = elevators.map((opts, i) => {
+    try {
+      return servedFloorsFor(opts, allFloors);
+    } catch (err) {
+      throw new Error(`Scenario elevator ${i + 1}: ${err.message}`);
+    }
+  });
+
+  let rawArrivals = raw.arrivals || [];
+  if (raw.traffic !== undefined) {
+    if (!raw.traffic || typeof raw.traffic !== 'object') throw new Error('Scenario "traffic" must be an object (see traffic.js)');
+    const generated = generateTraffic({
+      seed: raw.seed,
+      ...raw.traffic,
+      floors,
+      basements,
+      tickSeconds: raw.tickSeconds,
+    });
+    rawArrivals = rawArrivals.concat(generated);
+  }
+
+  const arrivals = rawArrivals.map((a, i) => {
+    const where = a.line ? `line ${a.line}` : `arrival #${i + 1}`;
+    for (const key of ['tick', 'from', 'to']) {
+      if (!Number.isInteger(a[key])) throw new Error(`Scenario ${where}: "${key}" must be an integer`);
+    }
+    if (a.tick < 1) throw new Error(`Scenario ${where}: "tick" must be >= 1`);
+    for (const key of ['from', 'to']) {
+      if (!allFloors.includes(a[key])) throw new Error(`Scenario ${where}: there is no floor ${a[key]}`);
+    }
+    if (!served.some((fl) => fl.includes(a.from) && fl.includes(a.to))) {
+      throw new Error(`Scenario ${where}: no elevator serves both floor ${a.from} and floor ${a.to}`);
+    }
+    const weight = a.weight === undefined ? 70 : a.weight;
+    if (typeof weight !== 'number' || !(weight > 0)) throw new Error(`Scenario ${where}: "weight" must be a positive number`);
+    const priority = a.priority === undefined ? 'normal' : a.priority;
+    if (!PRIORITY_CLASSES[priority]) {
+      throw new Error(`Scenario ${where}: "priority" must be one of ${Object.keys(PRIORITY_CLASSES).join(', ')}`);
+    }
+    return { tick: a.tick, from: a.from, to: a.to, weight, priority };
+  });
+
+  if (raw.floorHeight !== undefined) floorLevels(allFloors, raw.floorHeight); // throws if invalid
+  if (raw.tickSeconds !== undefined && (typeof raw.tickSeconds !== 'number' || !(raw.tickSeconds > 0))) {
+    throw new Error('Scenario "tickSeconds" must be a positive number');
+  }
+  if (raw.maxWaitTicks !== undefined && (typeof raw.maxWaitTicks !== 'number' || !(raw.maxWaitTicks > 0))) {
+    throw new Error('Scenario "maxWaitTicks" must be a positive number');
+  }
+  if (raw.parking !== undefined) {
+    if (typeof raw.parking !== 'boolean' && (typeof raw.parking !== 'object' || raw.parking === null)) {
+      throw new Error('Scenario "parking" must be true/false or an object of parking options');
+    }
+    try {
+      new ParkingPolicy(raw.parking); // throws if an option is invalid
+    } catch (err) {
+      throw new Error(`Scenario: ${err.message}`);
+    }
+  }
+  if (raw.energySaving !== undefined) {
+    if (typeof raw.energySaving !== 'boolean' && (typeof raw.energySaving !== 'object' || raw.energySaving === null)) {
+      throw new Error('Scenario "energySaving" must be true/false or { "maxExtraWait": seconds }');
+    }
+    try {
+      energySavingOptions(raw.energySaving);
+    } catch (err) {
+      throw new Error(`Scenario: ${err.message}`);
+    }
+  }
+
+  const lastArrival = arrivals.reduce((m, a) => Math.max(m, a.tick), 0);
+  return {
+    name: raw.name || null,
+    floors,
+    elevators,
+    ticks: Number.isInteger(raw.ticks) ? raw.ticks : lastArrival + 4 * floors,
+    seed: raw.seed,
+    dispatch: raw.dispatch,
+    mode: raw.mode,
+    basements,
+    floorHeight: raw.floorHeight,
+    tickSeconds: raw.tickSeconds,
+    parking: raw.parking,
+    maxWaitTicks: raw.maxWaitTicks,
+    energySaving: raw.energySaving,
+    arrivals,
+  };
+}
+
+function pickElevatorOptions(opts) {
+  const out = {};
+  for (const key of ELEVATOR_OPTION_KEYS) {
+    if (opts[key] === undefined) continue;
+    if (MOTION_KEYS.includes(key)) {
+      motionOptions({ [key]: opts[key] }); // throws with the reason if invalid
+    } else if (ENERGY_KEYS.includes(key)) {
+      energyOptions({ [key]: opts[key] });
+    } else if (ZONING_KEYS.includes(key)) {
+      // checked against the building in normalizeScenario
+    } else if (key === 'boarding') {
+      if (!BOARDING_POLICIES.includes(opts[key])) {
+        throw new Error(`Elevator option "boarding" must be ${BOARDING_POLICIES.join(' or ')}`);
+      }
+    } else if (typeof opts[key] !== 'number' || !(opts[key] > 0)) {
+      throw new Error(`Elevator option "${key}" must be a positive number`);
+    }
+    out[key] = opts[key];
+  }
+  return out;
+}
+
+module.exports = {
+  loadScenario,
+  parseScenario,
+};
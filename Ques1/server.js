@@ -1,61 +1,184 @@
 /**
  * Smart Elevator Control System
- * - Node.js script (run with `node index.js`)
+ * - Node.js script (run with `node server.js`)
  *
  * Features implemented:
  * - multiple elevators & floors
  * - capacity limits (max people and max weight)
- * - requests from floors with destination
- * - elevator assignment heuristic (position, direction, idle)
+ * - requests from floors with destination, or up/down hall calls + car calls (mode: 'hall')
+ * - pluggable dispatch strategies (heuristic, nearest, collective, eta)
+ * - zoning (floors.js): per-car served floors, skip-stop cars and basements
  * - elevator states: MOVING, OPEN_DOOR, CLOSE_DOOR, IDLE
- * - elevators move one floor per tick
- * - door open/close with delay
- * - pending request queue for unfulfilled requests
- * - logging / realtime console updates
+ * - faults, maintenance and fire recall: OUT_OF_SERVICE, MAINTENANCE, FIRE_SERVICE
+ * - motion model per car (motion.js): speed, acceleration, floor heights, door
+ *   timing and boarding time; the defaults move one floor per tick as before
+ * - traffic-pattern detection and optional idle-car parking (parking.js)
+ * - energy model per car (energy.js): load-weighted travel with regeneration,
+ *   standby draw and door cycles; optional energy-saving dispatch
+ * - request lifecycle: QUEUED -> ASSIGNED -> BOARDED -> DELIVERED (or CANCELLED / EXPIRED)
+ * - FIFO boarding per landing and direction, priority classes and a max-wait
+ *   guarantee that escalates to a dedicated car (boarding.js)
+ * - HTTP/JSON control API with a live SSE stream and browser panel (`node server.js serve`)
+ * - typed events on Elevator / ElevatorSystem (console logging is one optional subscriber)
+ * - animated terminal view of the shafts (terminal.js), plain log when not on a TTY
+ * - per-passenger timestamps and a KPI report at the end of each run
+ * - headless, deterministic stepping with a seeded RNG (runHeadless)
+ * - scripted traffic scenarios (JSON/CSV) replayed with `node server.js run <file>`
+ * - Monte Carlo traffic (traffic.js) and a benchmark of configurations (`node server.js bench`)
+ * - snapshots: toJSON()/fromJSON() on the system, cars and passengers; periodic
+ *   snapshot files and `run --resume` (snapshot.js)
+ * - append-only JSON Lines trace of every event (`--trace run.jsonl`) and a
+ *   viewer: filters, passenger journeys and tick-by-tick diffs of two runs
+ *   (`node server.js trace`, trace.js)
  *
  * This is a simulation (time-driven) — adjust ticks and delays as needed.
  */
 
-const uuid = () => Math.random().toString(36).slice(2, 9);
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { STATES, DIR, REQUEST_STATES } = require('./constants');
+const { loadScenario } = require('./scenario');
+const { resolveDispatcher, canCarry, DISPATCHERS, energySavingOptions, energySavingDispatcher } = require('./dispatch');
+const { buildReport, formatReport } = require('./metrics');
+const { EVENTS, ELEVATOR_EVENTS } = require('./events');
+const { attachDisplay } = require('./terminal');
+const { createServer } = require('./api');
+const { runBenchmark, toCsv } = require('./benchmark');
+const { generateTraffic } = require('./traffic');
+const { motionOptions, floorLevels, advance, brakingDistance } = require('./motion');
+const { buildingFloors, servedFloorsFor } = require('./floors');
+const { ParkingPolicy } = require('./parking');
+const { EnergyMeter } = require('./energy');
+const { createRng } = require('./rng');
+const { BOARDING_POLICIES, PRIORITY_CLASSES, priorityClass, boardingQueue, fits } = require('./boarding');
+const { encodeNumber, decodeNumber, snapshotPath, writeSnapshot, readSnapshot } = require('./snapshot');
+const { attachTraceLog, readTrace, pickRun, filterRecords, formatRecord, journey, formatJourney, diffRuns, formatDiff } = require('./trace');
 
-// Elevator states
-const STATES = {
-  IDLE: 'IDLE',
-  MOVING: 'MOVING',
-  OPEN_DOOR: 'OPEN_DOOR',
-  CLOSE_DOOR: 'CLOSE_DOOR',
-};
+// states in which a car takes no calls at all
+const OUT_OF_SERVICE_STATES = [STATES.OUT_OF_SERVICE, STATES.MAINTENANCE, STATES.FIRE_SERVICE];
 
-// Direction constants
-const DIR = {
-  UP: 'UP',
-  DOWN: 'DOWN',
-  NONE: 'NONE',
-};
+// can `el` answer a hall call at `floor` going `dir` (stop there and go on that way)?
+function servesCall(el, floor, dir) {
+  if (!el.serves(floor)) return false;
+  for (const f of el.servedFloors) {
+    if (dir === DIR.UP ? f > floor : f < floor) return true;
+  }
+  return false;
+}
+
+const uuid = (rand = Math.random) => rand().toString(36).slice(2, 9).padEnd(7, '0');
 
 class Passenger {
-  constructor(fromFloor, toFloor, weight = 70) {
-    this.id = uuid();
+  constructor(fromFloor, toFloor, weight = 70, id = uuid(), priority = 'normal') {
+    this.id = id;
     this.from = fromFloor;
     this.to = toFloor;
     this.weight = weight;
+    this.priority = priority; // see PRIORITY_CLASSES in boarding.js
+    this.state = REQUEST_STATES.QUEUED;
+    this.assignedElevatorId = null; // car currently sent to pick the passenger up
+    // timestamps in ticks, filled in as the passenger moves through the system
+    this.requestedAt = null;
+    this.assignedAt = null;
+    this.boardedAt = null;
+    this.alightedAt = null;
+    this.escalatedAt = null; // first time a car was dedicated to them (max wait exceeded)
+    this.endedAt = null; // gave up waiting without boarding (cancelled or expired)
+    this.elevatorId = null; // car that carried the passenger
+    this.capacityRejections = 0; // times a car arrived but had no room
+  }
+
+  toJSON() {
+    return { ...this };
+  }
+
+  static fromJSON(data) {
+    return Object.assign(new Passenger(data.from, data.to, data.weight, data.id), data);
   }
 }
 
-class Elevator {
+// elevator options saved in a snapshot, with Infinity written as a string
+function decodeOptions(options) {
+  const out = {};
+  for (const [key, value] of Object.entries(options)) out[key] = decodeNumber(value);
+  return out;
+}
+
+class Elevator extends EventEmitter {
   constructor(id, totalFloors, opts = {}) {
+    super();
     this.id = id;
     this.totalFloors = totalFloors;
-    this.currentFloor = 1;
+    // zoning (floors.js): the car passes through floors it does not serve
+    this.floors = opts.floors || buildingFloors(totalFloors); // every floor in the building, lowest first
+    this.servedFloors = new Set(servedFloorsFor(opts, this.floors));
+    this.currentFloor = this.servedFloors.has(1) ? 1 : this.nearestServedFloor(1);
     this.state = STATES.IDLE;
     this.direction = DIR.NONE;
     this.maxPeople = opts.maxPeople || 8;
     this.maxWeight = opts.maxWeight || 680; // kg
     this.passengers = []; // inside elevator
     this.targets = new Set(); // floors elevator must stop at (destinations & pickups)
-    this.doorTimer = 0; // ticks remaining while doors open
+    this.doorTimer = 0; // seconds left in the current door phase (opening + dwell, or closing)
+    // motion model (see motion.js): speeds in m/s, times in simulated seconds
+    this.motion = motionOptions(opts);
+    this.tickSeconds = opts.tickSeconds || 1; // simulated seconds per tick
+    this.levels = opts.floorLevels || floorLevels(this.floors); // floor -> metres above floor 1
+    this.position = this.levels[this.currentFloor]; // metres above floor 1
+    this.velocity = 0; // m/s along this.direction
+    this.runStop = null; // floor the car is currently braking or heading for
+    this.energy = new EnergyMeter(opts); // kWh this run and in total (see energy.js)
+    this.parkingFloor = null; // home floor an idle car is travelling to (parking.js)
     this.tickTimeMs = opts.tickTimeMs || 1000;
     this.logPrefix = `[Elevator-${this.id}]`;
+    this.clock = opts.clock || (() => 0); // current tick, provided by the system
+    this.deliveredCount = 0; // passengers who reached their destination
+    // counters for the run report (see metrics.js)
+    this.floorsTravelled = 0;
+    this.stops = 0;
+    this.busyTicks = 0; // ticks spent in any state other than IDLE
+    this.capacityRejections = 0;
+    this.rejectedAtStop = new Set(); // passenger ids turned away while doors are open
+    // hall/car call model (opts.mode === 'hall', see ElevatorSystem)
+    this.mode = opts.mode || 'destination';
+    this.carButtons = new Set(); // lit buttons inside the car
+    this.hallStops = new Map(); // floor -> Set of hall call directions this car must answer
+    this.doorDirection = DIR.NONE; // direction announced to the landing while doors are open
+    this.draining = false; // finishing drop-offs before going into MAINTENANCE
+    this.fireLobby = null; // recall floor while in FIRE_SERVICE
+    // who boards when not everyone fits: 'skip' or 'hold' (see boarding.js)
+    this.boarding = opts.boarding || 'skip';
+    if (!BOARDING_POLICIES.includes(this.boarding)) {
+      throw new Error(`Unknown boarding policy "${this.boarding}". Use ${BOARDING_POLICIES.join(' or ')}.`);
+    }
+    this.dedicatedTo = null; // id of the one passenger this car is fetching (see ElevatorSystem.escalate)
+  }
+
+  // does the car stop at `floor`?
+  serves(floor) {
+    return this.servedFloors.has(floor);
+  }
+
+  // served floor closest to `floor` (the lower one on a tie)
+  nearestServedFloor(floor) {
+    let best = null;
+    for (const f of this.servedFloors) {
+      if (best === null || Math.abs(f - floor) < Math.abs(best - floor)) best = f;
+    }
+    return best;
+  }
+
+  // can the car take new calls?
+  isInService() {
+    return !this.draining && !OUT_OF_SERVICE_STATES.includes(this.state);
+  }
+
+  // emit a typed event (see events.js) tagged with this car and its floor
+  emitEvent(type, payload = {}) {
+    const event = { type, tick: this.clock(), elevatorId: this.id, floor: this.currentFloor, ...payload };
+    this.emit(type, event);
+    return event;
   }
 
   occupancyCount() {
@@ -71,7 +194,15 @@ class Elevator {
   }
 
   addTarget(floor) {
-    if (floor < 1 || floor > this.totalFloors) return;
+    if (!this.serves(floor)) return;
+    if (OUT_OF_SERVICE_STATES.includes(this.state)) return;
+    this.parkingFloor = null; // a real call ends any parking trip
+    if (floor === this.currentFloor && this.state === STATES.OPEN_DOOR) return; // doors already open here
+    if (floor === this.currentFloor && this.state === STATES.CLOSE_DOOR) {
+      // reopen instead of leaving and coming back
+      this.openDoors();
+      return;
+    }
     this.targets.add(floor);
     // update direction if idle
     if (this.state === STATES.IDLE) {
@@ -85,14 +216,255 @@ class Elevator {
   }
 
   openDoorImmediately() {
+    this.direction = DIR.NONE;
+    this.openDoors();
+  }
+
+  // Open at the current floor: the stop is served, car buttons for it go dark
+  // and the car announces which way it is going (answering a hall call if it has one).
+  openDoors() {
+    this.stops++;
     this.state = STATES.OPEN_DOOR;
+    this.doorTimer = this.motion.doorOpenTime + this.motion.doorDwellTime; // boarding adds to this
+    this.targets.delete(this.currentFloor);
+    this.carButtons.delete(this.currentFloor);
+    // nothing left ahead: the car turns around here (LOOK), so it serves the other direction
+    if (this.direction !== DIR.NONE && !this.hasTargetsAhead(this.direction)) {
+      const opposite = this.direction === DIR.UP ? DIR.DOWN : DIR.UP;
+      this.direction = this.hasTargetsAhead(opposite) ? opposite : DIR.NONE;
+    }
+    this.doorDirection = this.direction;
+    this.energy.recordDoorCycle();
+
+    const dirs = this.hallStops.get(this.currentFloor);
+    if (dirs && dirs.size > 0) {
+      const dir = dirs.has(this.direction) ? this.direction : dirs.values().next().value;
+      dirs.delete(dir);
+      if (dirs.size === 0) this.hallStops.delete(this.currentFloor);
+      this.doorDirection = dir;
+    }
+    this.emitEvent(EVENTS.DOORS_OPENED, { direction: this.doorDirection });
+  }
+
+  hasTargetsAhead(dir) {
+    for (const t of this.targets) {
+      if (dir === DIR.UP ? t > this.currentFloor : t < this.currentFloor) return true;
+    }
+    return false;
+  }
+
+  // Let everybody out at the current floor. Returns the passengers who were not
+  // at their destination yet (the caller decides what happens to them).
+  evacuate() {
+    const stranded = [];
+    for (const p of this.passengers) {
+      if (p.to === this.currentFloor) {
+        p.alightedAt = this.clock();
+        p.state = REQUEST_STATES.DELIVERED;
+        this.deliveredCount++;
+        this.emitEvent(EVENTS.ALIGHTED, { passengerId: p.id, from: p.from, to: p.to });
+      } else {
+        stranded.push(p);
+        this.emitEvent(EVENTS.EVACUATED, { passengerId: p.id, from: p.from, to: p.to });
+      }
+    }
+    this.passengers = [];
+    return stranded;
+  }
+
+  // forget every stop, button and hall call (used when leaving normal service)
+  clearCalls() {
+    this.parkingFloor = null;
+    this.dedicatedTo = null;
+    this.targets.clear();
+    this.carButtons.clear();
+    this.hallStops.clear();
+    this.rejectedAtStop.clear();
+    this.doorDirection = DIR.NONE;
+  }
+
+  // Failure or immediate stop: passengers get out at the floor the car is at,
+  // then it parks with doors shut. Returns the stranded passengers.
+  shutDown(state) {
+    this.stopAtNearestFloor();
+    const stranded = this.evacuate();
+    this.clearCalls();
+    this.draining = false;
+    this.fireLobby = null;
+    this.state = state;
     this.direction = DIR.NONE;
-    this.doorTimer = 2; // ticks doors stay open
+    this.doorTimer = 0;
+    return stranded;
+  }
+
+  // Planned maintenance: no new pickups, finish the drop-offs already on board.
+  startDraining() {
+    this.draining = true;
+    this.hallStops.clear();
+    for (const t of Array.from(this.targets)) {
+      if (!this.passengers.some((p) => p.to === t)) this.targets.delete(t);
+    }
+  }
+
+  // Fire recall: drop every call and head for the lobby; doors open there and stay open.
+  // A car already running away from the lobby first stops at the next floor it can.
+  recallTo(lobby) {
+    this.clearCalls();
+    this.draining = false;
+    // a car that does not reach the lobby goes to its served floor closest to it
+    this.fireLobby = this.serves(lobby) ? lobby : this.nearestServedFloor(lobby);
+    this.state = STATES.FIRE_SERVICE;
+    this.doorTimer = 0;
+    if (this.velocity === 0) this.direction = this.directionTo(this.fireLobby);
+  }
+
+  // Idle car heads to its home floor; it stops there with the doors shut.
+  parkAt(floor, pattern) {
+    if (this.state !== STATES.IDLE || this.targets.size > 0 || !this.serves(floor) || floor === this.currentFloor) return;
+    this.parkingFloor = floor;
+    this.direction = this.directionTo(floor);
+    this.state = STATES.MOVING;
+    this.emitEvent(EVENTS.PARKING, { to: floor, pattern });
+  }
+
+  // the car is put down where it is (fault): no ride to a further floor
+  // than the nearest one with landing doors for this car
+  stopAtNearestFloor() {
+    this.currentFloor = this.nearestServedFloor(this.nearestFloor());
+    this.position = this.levels[this.currentFloor];
+    this.velocity = 0;
+    this.runStop = null;
+  }
+
+  directionTo(floor) {
+    if (floor === this.currentFloor && this.position === this.levels[floor]) return DIR.NONE;
+    return this.levels[floor] > this.position ? DIR.UP : DIR.DOWN;
+  }
+
+  // Floor the car will stop at next: the nearest target ahead it can still brake
+  // for, otherwise the nearest floor ahead it can brake for. null at the end of the shaft.
+  nextStop() {
+    const sign = this.direction === DIR.UP ? 1 : -1;
+    const braking = brakingDistance(this.motion, this.velocity);
+    let stop = null;
+    let stopAhead = Infinity;
+    let fallback = null;
+    let fallbackAhead = Infinity;
+    for (const f of this.servedFloors) {
+      const ahead = (this.levels[f] - this.position) * sign;
+      // the floor the car is leaving is behind it, as are floors it can no longer brake for
+      if (ahead <= 1e-9 || (ahead < braking - 1e-9 && f !== this.runStop)) continue;
+      if ((this.targets.has(f) || f === this.parkingFloor) && ahead < stopAhead) {
+        stop = f;
+        stopAhead = ahead;
+      }
+      if (ahead < fallbackAhead) {
+        fallback = f;
+        fallbackAhead = ahead;
+      }
+    }
+    return stop !== null ? stop : fallback;
+  }
+
+  // Travel for one tick along this.direction. Returns the floor the car came to rest at, or null.
+  moveTick() {
+    const stop = this.direction === DIR.NONE ? null : this.nextStop();
+    if (stop === null) {
+      this.velocity = 0;
+      this.runStop = null;
+      return this.currentFloor;
+    }
+    const sign = this.direction === DIR.UP ? 1 : -1;
+    const arrived = advance(this.motion, this, this.levels[stop], sign, this.tickSeconds);
+    this.runStop = arrived ? null : stop;
+    const floor = arrived ? stop : this.nearestFloor();
+    // keep float drift from the small motion steps out of positions and ETAs
+    if (Math.abs(this.position - this.levels[floor]) < 1e-6) this.position = this.levels[floor];
+    if (floor !== this.currentFloor) {
+      this.floorsTravelled += Math.abs(floor - this.currentFloor);
+      this.currentFloor = floor;
+    }
+    return arrived ? stop : null;
+  }
+
+  nearestFloor() {
+    let best = this.currentFloor;
+    for (const f of this.floors) {
+      if (Math.abs(this.levels[f] - this.position) < Math.abs(this.levels[best] - this.position)) best = f;
+    }
+    return best;
+  }
+
+  returnToService() {
+    this.clearCalls();
+    this.draining = false;
+    this.fireLobby = null;
+    this.doorTimer = 0;
+    if (this.velocity > 0) {
+      // still running (fire recall cleared mid-run): stop at the next floor, then take calls
+      this.state = STATES.MOVING;
+      return;
+    }
+    this.state = STATES.IDLE;
+    this.direction = DIR.NONE;
+  }
+
+  // a hall call at `floor` going `dir` was assigned to this car
+  addHallStop(floor, dir) {
+    if (!this.hallStops.has(floor)) this.hallStops.set(floor, new Set());
+    this.hallStops.get(floor).add(dir);
+    this.addTarget(floor);
+  }
+
+  removeHallStop(floor, dir) {
+    const dirs = this.hallStops.get(floor);
+    if (!dirs) return;
+    dirs.delete(dir);
+    if (dirs.size === 0) this.hallStops.delete(floor);
+  }
+
+  // a destination chosen inside the car
+  pressCarButton(floor) {
+    if (!this.serves(floor)) return false;
+    if (floor === this.currentFloor && this.state === STATES.OPEN_DOOR) return true;
+    this.carButtons.add(floor);
+    this.addTarget(floor);
+    return true;
   }
 
   stepTick(pendingRequests) {
     // Called once per simulation tick
+    const level = this.position;
+    if (this.state !== STATES.IDLE && this.state !== STATES.OUT_OF_SERVICE && this.state !== STATES.MAINTENANCE) {
+      this.busyTicks++;
+    }
     switch (this.state) {
+      case STATES.OUT_OF_SERVICE:
+      case STATES.MAINTENANCE:
+        // parked until an operator returns the car to service
+        break;
+
+      case STATES.FIRE_SERVICE:
+        if (this.velocity > 0 || this.directionTo(this.fireLobby) !== DIR.NONE) {
+          if (this.velocity === 0) this.direction = this.directionTo(this.fireLobby);
+          this.targets = new Set([this.fireLobby]);
+          const floor = this.moveTick();
+          if (floor === this.fireLobby) {
+            this.targets.clear();
+            this.emitEvent(EVENTS.ARRIVED);
+            this.direction = DIR.NONE;
+          }
+        } else if (this.doorTimer === 0) {
+          // doors open at the lobby and stay open until the recall is cleared
+          this.doorTimer = Infinity;
+          this.stops++;
+          this.energy.recordDoorCycle();
+          this.emitEvent(EVENTS.DOORS_OPENED, { direction: DIR.NONE });
+          // everyone leaves the building; trips to other floors end here
+          for (const p of this.evacuate()) p.state = REQUEST_STATES.CANCELLED;
+        }
+        break;
+
       case STATES.IDLE:
         if (this.targets.size > 0) {
           // start moving toward nearest target
@@ -106,40 +478,50 @@ class Elevator {
         }
         break;
 
-      case STATES.MOVING:
-        // move one floor
-        if (this.direction === DIR.UP) {
-          if (this.currentFloor < this.totalFloors) this.currentFloor++;
-        } else if (this.direction === DIR.DOWN) {
-          if (this.currentFloor > 1) this.currentFloor--;
-        }
-
+      case STATES.MOVING: {
+        const floor = this.moveTick();
+        if (floor === null) break;
+        if (floor === this.parkingFloor) this.parkingFloor = null;
         // If we reached a target, open doors
-        if (this.targets.has(this.currentFloor)) {
-          this.targets.delete(this.currentFloor);
-          this.state = STATES.OPEN_DOOR;
-          this.doorTimer = 2; // door open ticks
+        if (this.targets.has(floor)) {
+          this.emitEvent(EVENTS.ARRIVED);
+          this.openDoors();
+        } else {
+          // parked, or stopped without a reason to open (the call was taken away): look again next tick
+          this.state = STATES.IDLE;
+          this.direction = DIR.NONE;
         }
         break;
+      }
 
-      case STATES.OPEN_DOOR:
+      case STATES.OPEN_DOOR: {
         // handle passenger leaving
-        this.handleAlightings();
+        const alighted = this.handleAlightings();
 
         // handle boarding from pending requests that match this floor & direction or any if idle
-        this.handleBoardings(pendingRequests);
+        const boarded = this.handleBoardings(pendingRequests);
 
-        this.doorTimer--;
-        if (this.doorTimer <= 0) {
+        this.doorTimer += (alighted + boarded) * this.motion.boardingTime - this.tickSeconds;
+        if (this.doorTimer <= 1e-9) {
           this.state = STATES.CLOSE_DOOR;
+          this.doorTimer = this.motion.doorCloseTime;
         }
         break;
+      }
 
       case STATES.CLOSE_DOOR:
+        this.doorTimer -= this.tickSeconds;
+        if (this.doorTimer > 1e-9) break;
+        this.rejectedAtStop.clear();
+        this.emitEvent(EVENTS.DOORS_CLOSED);
         // after closing, decide next move
+        this.doorDirection = DIR.NONE;
         if (this.targets.size > 0) {
-          const next = this.closestTarget();
-          this.direction = next > this.currentFloor ? DIR.UP : DIR.DOWN;
+          // keep sweeping the same way while there are stops ahead, otherwise head for the closest one
+          if (this.direction === DIR.NONE || !this.hasTargetsAhead(this.direction)) {
+            const next = this.closestTarget();
+            this.direction = next > this.currentFloor ? DIR.UP : DIR.DOWN;
+          }
           this.state = STATES.MOVING;
         } else {
           this.state = STATES.IDLE;
@@ -147,6 +529,7 @@ class Elevator {
         }
         break;
     }
+    this.energy.recordTick(this, level);
   }
 
   closestTarget() {
@@ -163,51 +546,72 @@ class Elevator {
     return best;
   }
 
+  // returns how many passengers got out
   handleAlightings() {
-    if (this.passengers.length === 0) return;
-    const before = this.passengers.length;
+    if (this.passengers.length === 0) return 0;
+    const leaving = this.passengers.filter((p) => p.to === this.currentFloor);
+    if (leaving.length === 0) return 0;
     this.passengers = this.passengers.filter((p) => p.to !== this.currentFloor);
-    const after = this.passengers.length;
-    if (before !== after) {
-      console.log(`${this.logPrefix} ${before - after} passenger(s) alighted at floor ${this.currentFloor}`);
+    for (const p of leaving) {
+      p.alightedAt = this.clock();
+      p.state = REQUEST_STATES.DELIVERED;
+      this.deliveredCount++;
+      this.emitEvent(EVENTS.ALIGHTED, { passengerId: p.id, from: p.from, to: p.to });
     }
+    return leaving.length;
   }
 
+  // Direction the people boarding now must be going (DIR.NONE: whoever is first in line decides)
+  boardingDirection() {
+    if (this.mode === 'hall' && this.doorDirection !== DIR.NONE) return this.doorDirection;
+    if (this.direction !== DIR.NONE && this.hasTargetsAhead(this.direction)) return this.direction;
+    if (this.targets.size > 0) return this.directionTo(this.closestTarget());
+    return DIR.NONE;
+  }
+
+  // Board waiting passengers in queue order (see boarding.js); returns how many got in.
   handleBoardings(pendingRequests) {
-    // Try to board passengers waiting at this floor (pendingRequests is array referenced externally)
-    // Boarding rules:
-    // - Elevator shouldn't exceed people & weight limits
-    // - Prefer requests whose direction matches elevator direction, or if elevator idle take anyone
-    // We'll mutate pendingRequests (remove boarded ones)
-    for (let i = pendingRequests.length - 1; i >= 0; i--) {
-      const req = pendingRequests[i];
-      if (req.from !== this.currentFloor) continue;
-      // decide if direction matches
-      const reqDir = req.to > req.from ? DIR.UP : DIR.DOWN;
-      if (this.state === STATES.OPEN_DOOR) {
-        // if elevator is empty or moving same direction or IDLE accept
-        if (this.direction === DIR.NONE || this.direction === reqDir || this.targets.size === 0) {
-          // check capacity
-          const willBeFull = (this.occupancyCount() + 1) > this.maxPeople;
-          const willBeOverweight = (this.occupancyWeight() + req.weight) > this.maxWeight;
-          if (!willBeFull && !willBeOverweight) {
-            // board
-            this.passengers.push(req);
-            this.targets.add(req.to);
-            pendingRequests.splice(i, 1);
-            console.log(`${this.logPrefix} Passenger boarded at floor ${this.currentFloor} -> ${req.to} (weight ${req.weight}kg)`);
-            // continue boarding other passengers if capacity allows
-          } else {
-            // cannot board due to capacity/weight — leave in queue
-            // if elevator full, no more boarding
-            if (this.isFull()) {
-              // can't board more
-              break;
-            }
-          }
+    if (this.draining) return 0; // on its way to maintenance: drop-offs only
+    if (this.state !== STATES.OPEN_DOOR) return 0;
+    const here = pendingRequests.filter((req) => {
+      if (req.from !== this.currentFloor) return false;
+      if (!this.serves(req.to)) return false; // waits for a car that goes there
+      // a dedicated car (see ElevatorSystem.escalate) comes for one passenger only
+      if (this.dedicatedTo !== null) return req.id === this.dedicatedTo;
+      // passengers already assigned to another car wait for that car
+      return !(this.mode === 'destination' && req.state === REQUEST_STATES.ASSIGNED && req.assignedElevatorId !== this.id);
+    });
+    const queue = boardingQueue(here, this.dedicatedTo !== null ? DIR.NONE : this.boardingDirection());
+
+    let boarded = 0;
+    for (const req of queue) {
+      if (fits(this, req)) {
+        this.passengers.push(req);
+        if (req.assignedAt === null) req.assignedAt = this.clock();
+        req.boardedAt = this.clock();
+        req.elevatorId = this.id;
+        req.assignedElevatorId = this.id;
+        req.state = REQUEST_STATES.BOARDED;
+        if (this.mode === 'hall') {
+          this.carButtons.add(req.to); // the passenger picks a floor inside the car
         }
+        this.targets.add(req.to);
+        pendingRequests.splice(pendingRequests.indexOf(req), 1);
+        boarded++;
+        if (req.id === this.dedicatedTo) this.dedicatedTo = null;
+        this.emitEvent(EVENTS.BOARDED, { passengerId: req.id, from: req.from, to: req.to, weight: req.weight });
+        continue;
       }
+      // no room: leave them in the queue (count each passenger once per door opening)
+      if (!this.rejectedAtStop.has(req.id)) {
+        this.rejectedAtStop.add(req.id);
+        this.capacityRejections++;
+        req.capacityRejections++;
+        this.emitEvent(EVENTS.CAPACITY_REJECTED, { passengerId: req.id, weight: req.weight });
+      }
+      if (this.boarding === 'hold' || this.isFull()) break;
     }
+    return boarded;
   }
 
   status() {
@@ -219,214 +623,725 @@ class Elevator {
       people: this.occupancyCount(),
       weight: this.occupancyWeight(),
       targets: Array.from(this.targets).sort((a, b) => a - b),
+      carButtons: Array.from(this.carButtons).sort((a, b) => a - b),
+      doorDirection: this.doorDirection,
+      inService: this.isInService(),
+      servedFloors: Array.from(this.servedFloors),
+      parkingFloor: this.parkingFloor,
+      dedicatedTo: this.dedicatedTo,
+      position: Math.round(this.position * 100) / 100, // metres above floor 1
+      speed: Math.round(this.velocity * 100) / 100, // m/s
+      energy: this.energy.status(),
     };
   }
+
+  // Snapshot of the car (see snapshot.js): its options plus everything that
+  // changes while it runs. Passengers on board are included in full.
+  toJSON() {
+    const options = {
+      maxPeople: this.maxPeople,
+      maxWeight: this.maxWeight,
+      servedFloors: Array.from(this.servedFloors),
+      boarding: this.boarding,
+    };
+    for (const [key, value] of Object.entries(this.motion)) options[key] = encodeNumber(value);
+    Object.assign(options, this.energy.options);
+    return {
+      id: this.id,
+      totalFloors: this.totalFloors,
+      basements: Math.max(0, -this.floors[0]),
+      options,
+      mode: this.mode,
+      currentFloor: this.currentFloor,
+      state: this.state,
+      direction: this.direction,
+      doorTimer: encodeNumber(this.doorTimer),
+      doorDirection: this.doorDirection,
+      position: this.position,
+      velocity: this.velocity,
+      runStop: this.runStop,
+      parkingFloor: this.parkingFloor,
+      draining: this.draining,
+      fireLobby: this.fireLobby,
+      dedicatedTo: this.dedicatedTo,
+      passengers: this.passengers.map((p) => p.toJSON()),
+      targets: Array.from(this.targets),
+      carButtons: Array.from(this.carButtons),
+      hallStops: Array.from(this.hallStops, ([floor, dirs]) => [floor, Array.from(dirs)]),
+      rejectedAtStop: Array.from(this.rejectedAtStop),
+      deliveredCount: this.deliveredCount,
+      floorsTravelled: this.floorsTravelled,
+      stops: this.stops,
+      busyTicks: this.busyTicks,
+      capacityRejections: this.capacityRejections,
+      energy: this.energy.toJSON(),
+    };
+  }
+
+  // Rebuild a car from toJSON(). A system passes its floors, floorLevels,
+  // tickSeconds and clock in `opts`; a lone car falls back to the defaults.
+  static fromJSON(data, opts = {}) {
+    const floors = opts.floors || buildingFloors(data.totalFloors, data.basements);
+    const el = new Elevator(data.id, data.totalFloors, { ...opts, ...decodeOptions(data.options), floors });
+    el.restore(data);
+    return el;
+  }
+
+  // Put back the running state saved by toJSON(). `passengers` (id -> Passenger)
+  // lets the system share one object per passenger between cars and queues.
+  restore(data, passengers = new Map()) {
+    this.mode = data.mode;
+    this.currentFloor = data.currentFloor;
+    this.state = data.state;
+    this.direction = data.direction;
+    this.doorTimer = decodeNumber(data.doorTimer);
+    this.doorDirection = data.doorDirection;
+    this.position = data.position;
+    this.velocity = data.velocity;
+    this.runStop = data.runStop;
+    this.parkingFloor = data.parkingFloor;
+    this.draining = data.draining;
+    this.fireLobby = data.fireLobby;
+    this.dedicatedTo = data.dedicatedTo;
+    this.passengers = data.passengers.map((p) => passengers.get(p.id) || Passenger.fromJSON(p));
+    this.targets = new Set(data.targets);
+    this.carButtons = new Set(data.carButtons);
+    this.hallStops = new Map(data.hallStops.map(([floor, dirs]) => [floor, new Set(dirs)]));
+    this.rejectedAtStop = new Set(data.rejectedAtStop);
+    this.deliveredCount = data.deliveredCount;
+    this.floorsTravelled = data.floorsTravelled;
+    this.stops = data.stops;
+    this.busyTicks = data.busyTicks;
+    this.capacityRejections = data.capacityRejections;
+    if (data.energy) this.energy.restore(data.energy);
+    return this;
+  }
 }
 
-class ElevatorSystem {
+class ElevatorSystem extends EventEmitter {
   constructor(numElevators = 3, totalFloors = 10, opts = {}) {
+    super();
     this.elevators = [];
     this.totalFloors = totalFloors;
+    // floors -1, -2, ... below floor 1 (see floors.js)
+    this.basements = opts.basements || 0;
+    this.floors = buildingFloors(totalFloors, this.basements);
+    this.lowestFloor = this.floors[0];
     this.pendingRequests = []; // queued requests {from,to,weight}
+    // seeded runs are reproducible; without a seed we keep Math.random
+    this.seed = opts.seed;
+    this.rng = opts.seed !== undefined ? createRng(opts.seed) : Math.random;
+    this.silent = !!opts.silent; // no console output (events are still emitted and recorded)
+    this.eventLog = []; // every emitted event, in order (only the latest eventLogLimit are kept)
+    this.eventLogLimit = opts.eventLogLimit || Infinity; // set by long-running servers so it does not grow forever
+    this.scheduled = []; // timed requests { tick, from, to, weight } for headless runs
+    const clock = () => this.tickCount;
+    // motion model (motion.js): a tick is tickSeconds of simulated time
+    this.tickSeconds = opts.tickSeconds || 1;
+    this.floorHeight = opts.floorHeight; // kept for snapshots
+    this.floorLevels = floorLevels(this.floors, opts.floorHeight);
+    // opts.elevatorOptions[i] overrides the shared opts for car i+1
+    const perElevator = opts.elevatorOptions || [];
     for (let i = 1; i <= numElevators; i++) {
-      this.elevators.push(new Elevator(i, totalFloors, opts));
+      const el = new Elevator(i, totalFloors, {
+        ...opts,
+        ...perElevator[i - 1],
+        clock,
+        floors: this.floors,
+        tickSeconds: this.tickSeconds,
+        floorLevels: this.floorLevels,
+      });
+      // re-emit car events on the system so one subscription sees everything
+      for (const type of ELEVATOR_EVENTS) el.on(type, (e) => this.publish(e));
+      this.elevators.push(el);
+    }
+    this.requestCount = 0; // valid requests received
+    this.passengers = []; // every valid request, kept for the run report
+    this.requests = new Map(); // id -> Passenger, for getRequest()
+    // 'destination': the destination is known when the call is made (destination dispatch)
+    // 'hall': passengers press up/down on the landing and choose a floor inside the car
+    this.mode = opts.mode || 'destination';
+    if (this.mode !== 'destination' && this.mode !== 'hall') {
+      throw new Error(`Unknown mode "${this.mode}". Use "destination" or "hall".`);
     }
+    this.hallCalls = new Map(); // "floor:dir" -> { floor, direction, pressedAt, elevatorId } (lit hall buttons)
+    // fire recall sends every car in service to this floor and suspends hall calls
+    this.fireLobbyFloor = opts.fireLobbyFloor || 1;
+    this.fireRecall = null; // { lobby } while active
+    this.dispatchCapacityRejections = 0; // requests queued because no car had room
+    // waiting requests expire after this many ticks (Infinity = never)
+    this.requestTimeoutTicks = opts.requestTimeoutTicks || Infinity;
+    // a request waiting this long (x its class's waitFactor, see boarding.js) gets a dedicated car
+    this.maxWaitTicks = opts.maxWaitTicks || Infinity;
+    // strategy used to pick a car for each request (see dispatch.js)
+    const dispatcher = resolveDispatcher(opts.dispatch);
+    // trade up to maxExtraWait seconds of waiting for a car that uses less energy
+    // (opts.energySaving, or a strategy named like "eta+energy")
+    this.energySaving = energySavingOptions(opts.energySaving) || (dispatcher.base ? dispatcher.options : null);
+    this.dispatcher = this.energySaving ? energySavingDispatcher(dispatcher.base || dispatcher, this.energySaving) : dispatcher;
+    // detects the traffic pattern; with opts.parking it also parks idle cars (see parking.js)
+    this.parking = new ParkingPolicy(opts.parking);
     this.tickMs = opts.tickMs || 1000; // how often the sim advances (ms)
     this.tickHandle = null;
     this.tickCount = 0;
+    // console output: 'log' (a line per event) or 'terminal' (animated view, see terminal.js)
+    if (!this.silent) attachDisplay(this, opts.display);
   }
 
-  // a passenger makes a request (from floor -> to floor)
-  requestElevator(from, to, weight = 70) {
-    if (from < 1 || from > this.totalFloors || to < 1 || to > this.totalFloors || from === to) {
-      console.log(`[System] Invalid request from ${from} to ${to} — ignored.`);
-      return;
+  emitEvent(type, payload = {}) {
+    return this.publish({ type, tick: this.tickCount, ...payload });
+  }
+
+  publish(event) {
+    this.eventLog.push(event);
+    if (this.eventLog.length > this.eventLogLimit) this.eventLog.shift();
+    this.emit(event.type, event);
+    this.emit('event', event);
+    return event;
+  }
+
+  // queue a request to be made at the start of the given tick
+  scheduleRequest(tick, from, to, weight = 70, priority = 'normal') {
+    this.scheduled.push({ tick, from, to, weight, priority });
+    // stable sort keeps insertion order for requests on the same tick
+    this.scheduled.sort((a, b) => a.tick - b.tick);
+  }
+
+  releaseScheduled() {
+    while (this.scheduled.length > 0 && this.scheduled[0].tick <= this.tickCount) {
+      const { from, to, weight, priority } = this.scheduled.shift();
+      this.requestElevator(from, to, weight, priority);
+    }
+  }
+
+  isFloor(floor) {
+    return this.floors.includes(floor);
+  }
+
+  // Why a trip from `from` to `to` for `weight` kg cannot be served, or null if some car
+  // can take it (whether or not that car is in service right now).
+  validateRequest(from, to, weight = 70) {
+    if (!this.isFloor(from) || !this.isFloor(to) || from === to) return `Invalid request from ${from} to ${to}`;
+    if (typeof weight !== 'number' || !(weight > 0)) return `Invalid weight ${weight}: must be a positive number of kg`;
+    const serving = this.elevators.filter((el) => el.serves(from) && el.serves(to));
+    if (serving.length === 0) return `No elevator serves both floor ${from} and floor ${to}`;
+    // nobody could ever board: the car sent would only stop and turn them away, forever
+    if (!serving.some((el) => weight <= el.maxWeight)) return `No elevator from ${from} to ${to} can carry ${weight}kg`;
+    return null;
+  }
+
+  // a passenger makes a request (from floor -> to floor); returns the request id
+  requestElevator(from, to, weight = 70, priority = 'normal') {
+    let error = this.validateRequest(from, to, weight);
+    if (!error && !PRIORITY_CLASSES[priority]) {
+      error = `Unknown priority class "${priority}" (use ${Object.keys(PRIORITY_CLASSES).join(', ')})`;
+    }
+    if (error) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, { from, to, reason: error });
+      return null;
+    }
+    this.requestCount++;
+    const passenger = new Passenger(from, to, weight, uuid(this.rng), priority);
+    passenger.requestedAt = this.tickCount;
+    this.passengers.push(passenger);
+    this.requests.set(passenger.id, passenger);
+    // every waiting passenger lives in pendingRequests until they board (or cancel / expire)
+    this.pendingRequests.push(passenger);
+    this.emitEvent(EVENTS.REQUEST_QUEUED, { passengerId: passenger.id, from, to, weight, priority });
+    if (this.mode === 'hall') {
+      this.syncWithHallCall(passenger);
+      return passenger.id;
     }
-    const passenger = new Passenger(from, to, weight);
     // Try assign immediately
     const assigned = this.tryAssignElevator(passenger);
-    if (!assigned) {
-      // push to pending queue for later assignment
-      this.pendingRequests.push(passenger);
-      console.log(`[System] No suitable elevator immediately available. Request queued: ${from} -> ${to}`);
-    } else {
-      console.log(`[System] Assigned passenger ${passenger.id} to Elevator-${assigned.id} for ${from} -> ${to}`);
+    if (!assigned && !this.fireRecall) {
+      this.dispatchCapacityRejections++;
+      this.emitEvent(EVENTS.CAPACITY_REJECTED, { elevatorId: null, passengerId: passenger.id, floor: from, weight });
     }
+    return passenger.id;
   }
 
+  // pick a car for a QUEUED passenger and send it to the pickup floor
   tryAssignElevator(passenger) {
-    // Heuristic to pick best elevator:
-    // - prefer elevator already at the floor and not full => open door immediately
-    // - prefer elevator moving towards the floor in same direction (and will pass by)
-    // - prefer idle elevator closest to the floor
-    // Score system: lower is better
-    const reqFloor = passenger.from;
-    const reqDir = passenger.to > passenger.from ? DIR.UP : DIR.DOWN;
+    if (this.fireRecall) return null;
+    const candidates = this.availableElevators().filter(
+      (el) => el.serves(passenger.from) && el.serves(passenger.to) && passenger.weight <= el.maxWeight
+    );
+    const bestElevator = this.dispatcher.select(passenger, candidates, this);
+    if (bestElevator) {
+      if (passenger.assignedAt === null) passenger.assignedAt = this.tickCount;
+      passenger.state = REQUEST_STATES.ASSIGNED;
+      passenger.assignedElevatorId = bestElevator.id;
+      this.emitEvent(EVENTS.REQUEST_ASSIGNED, {
+        passengerId: passenger.id,
+        elevatorId: bestElevator.id,
+        from: passenger.from,
+        to: passenger.to,
+      });
+      bestElevator.addTarget(passenger.from);
+      return bestElevator;
+    }
+    return null;
+  }
 
-    let bestElevator = null;
-    let bestScore = Infinity;
+  // cars that can take new calls (not out of service, not fetching one escalated passenger)
+  availableElevators() {
+    return this.elevators.filter((el) => el.isInService() && el.dedicatedTo === null);
+  }
 
-    for (const el of this.elevators) {
-      // cannot board if full
-      if (el.isFull()) continue;
+  // Max-wait guarantee: hand a request that has waited too long to a car of its
+  // own. The car gives up the pickups it had promised others, keeps its drop-offs,
+  // and boards nobody else until this passenger is in. Empty cars are preferred.
+  escalate(passenger) {
+    const candidates = this.availableElevators().filter(
+      (el) => el.serves(passenger.from) && el.serves(passenger.to) && passenger.weight <= el.maxWeight
+    );
+    const empty = candidates.filter((el) => el.passengers.length === 0);
+    const el = this.dispatcher.select(passenger, empty.length > 0 ? empty : candidates, this);
+    if (!el) return null;
+    el.dedicatedTo = passenger.id;
+    this.releaseCallsOf(el, `Elevator-${el.id} dedicated to request ${passenger.id}`);
+    for (const t of Array.from(el.targets)) {
+      if (!el.passengers.some((p) => p.to === t)) el.targets.delete(t);
+    }
+    const previous = passenger.assignedElevatorId;
+    if (passenger.assignedAt === null) passenger.assignedAt = this.tickCount;
+    if (passenger.escalatedAt === null) passenger.escalatedAt = this.tickCount;
+    passenger.state = REQUEST_STATES.ASSIGNED;
+    passenger.assignedElevatorId = el.id;
+    if (previous !== null && previous !== el.id && this.mode === 'destination') this.releasePickup(previous, passenger.from);
+    el.addTarget(passenger.from);
+    this.emitEvent(EVENTS.REQUEST_ESCALATED, {
+      passengerId: passenger.id,
+      elevatorId: el.id,
+      waited: this.tickCount - passenger.requestedAt,
+      priority: passenger.priority,
+    });
+    return el;
+  }
 
-      const dist = Math.abs(el.currentFloor - reqFloor);
-      let score = dist * 10; // base cost by distance
+  // ticks `passenger` may wait before escalate()
+  maxWaitFor(passenger) {
+    return this.maxWaitTicks * priorityClass(passenger).waitFactor;
+  }
 
-      // if elevator is at floor
-      if (el.currentFloor === reqFloor && (el.state === STATES.IDLE || el.state === STATES.OPEN_DOOR || el.state === STATES.CLOSE_DOOR)) {
-        score -= 1000; // immediate best
-      }
+  // Deliberately move an ASSIGNED passenger to another car (e.g. theirs is full).
+  // The passenger goes back to QUEUED if no other car can take them.
+  reassign(passenger, reason) {
+    const previous = passenger.assignedElevatorId;
+    passenger.state = REQUEST_STATES.QUEUED;
+    passenger.assignedElevatorId = null;
+    this.releasePickup(previous, passenger.from);
+    const el = this.tryAssignElevator(passenger);
+    this.emitEvent(EVENTS.REQUEST_REASSIGNED, {
+      passengerId: passenger.id,
+      previousElevatorId: previous,
+      elevatorId: el ? el.id : null,
+      reason,
+    });
+    return el;
+  }
 
-      // If elevator is moving and direction matches and will pass the floor, prefer it
-      if (el.state === STATES.MOVING) {
-        if (
-          (el.direction === DIR.UP && el.currentFloor <= reqFloor && reqDir === DIR.UP) ||
-          (el.direction === DIR.DOWN && el.currentFloor >= reqFloor && reqDir === DIR.DOWN)
-        ) {
-          score -= 200; // good candidate
-        } else {
-          score += 50; // opposite direction
+  // drop a car's stop at `floor` if nobody needs it any more
+  releasePickup(elevatorId, floor) {
+    const el = this.elevators.find((e) => e.id === elevatorId);
+    if (!el || !el.targets.has(floor)) return;
+    const stillNeeded =
+      el.passengers.some((p) => p.to === floor) ||
+      this.pendingRequests.some(
+        (p) => p.state === REQUEST_STATES.ASSIGNED && p.assignedElevatorId === el.id && p.from === floor
+      );
+    if (!stillNeeded) el.targets.delete(floor);
+  }
+
+  // Withdraw a waiting request. Returns false if it has already boarded or finished.
+  cancelRequest(id) {
+    const passenger = this.requests.get(id);
+    if (!passenger) return false;
+    if (passenger.state !== REQUEST_STATES.QUEUED && passenger.state !== REQUEST_STATES.ASSIGNED) return false;
+    this.endWaiting(passenger, REQUEST_STATES.CANCELLED);
+    this.emitEvent(EVENTS.REQUEST_CANCELLED, { passengerId: id });
+    return true;
+  }
+
+  endWaiting(passenger, finalState) {
+    const previous = passenger.assignedElevatorId;
+    passenger.state = finalState;
+    passenger.endedAt = this.tickCount;
+    passenger.assignedElevatorId = null;
+    const idx = this.pendingRequests.indexOf(passenger);
+    if (idx !== -1) this.pendingRequests.splice(idx, 1);
+    // in hall mode the landing button stays lit; there is nothing to release
+    if (previous !== null && this.mode === 'destination') this.releasePickup(previous, passenger.from);
+  }
+
+  // Hall call: someone on `floor` pressed the up or down button. Returns the lit call or null.
+  pressHallButton(floor, dir) {
+    if (
+      !this.isFloor(floor) ||
+      (dir !== DIR.UP && dir !== DIR.DOWN) ||
+      (dir === DIR.UP && floor === this.totalFloors) ||
+      (dir === DIR.DOWN && floor === this.lowestFloor)
+    ) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, { floor, direction: dir, reason: `Invalid hall call ${dir} at floor ${floor}` });
+      return null;
+    }
+    if (!this.elevators.some((el) => servesCall(el, floor, dir))) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, { floor, direction: dir, reason: `No elevator serves floor ${floor} going ${dir}` });
+      return null;
+    }
+    const key = `${floor}:${dir}`;
+    if (this.fireRecall) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, { floor, direction: dir, reason: `Hall call ${dir} at floor ${floor} during fire recall` });
+      return null;
+    }
+    if (this.hallCalls.has(key)) return this.hallCalls.get(key); // already lit
+    const call = { floor, direction: dir, pressedAt: this.tickCount, elevatorId: null };
+    this.hallCalls.set(key, call);
+    this.emitEvent(EVENTS.HALL_CALL, { floor, direction: dir });
+    if (!this.assignHallCall(call)) {
+      this.emitEvent(EVENTS.HALL_CALL_ASSIGNED, { floor, direction: dir, elevatorId: null });
+    }
+    return call;
+  }
+
+  // Car call: a floor button pressed inside a car
+  pressCarButton(elevatorId, floor) {
+    const el = this.elevators.find((e) => e.id === elevatorId);
+    if (!el || !this.isFloor(floor) || OUT_OF_SERVICE_STATES.includes(el.state)) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, {
+        elevatorId,
+        floor,
+        reason: `Invalid car call to floor ${floor} in Elevator-${elevatorId}`,
+      });
+      return false;
+    }
+    if (!el.serves(floor)) {
+      this.emitEvent(EVENTS.REQUEST_INVALID, { elevatorId, floor, reason: `Elevator-${elevatorId} does not serve floor ${floor}` });
+      return false;
+    }
+    el.pressCarButton(floor);
+    this.emitEvent(EVENTS.CAR_CALL, { elevatorId, floor });
+    return true;
+  }
+
+  assignHallCall(call, reason) {
+    // a car that just turned people away at this landing for lack of room is not sent straight back
+    let candidates = this.availableElevators().filter(
+      (e) => servesCall(e, call.floor, call.direction) && !(e.currentFloor === call.floor && e.rejectedAtStop.size > 0)
+    );
+    // with zoned cars, prefer one that goes where the people waiting here want to go
+    const destinations = this.pendingRequests
+      .filter((p) => p.from === call.floor && (p.to > p.from ? DIR.UP : DIR.DOWN) === call.direction)
+      .map((p) => p.to);
+    const useful = candidates.filter((e) => destinations.some((f) => e.serves(f)));
+    if (useful.length > 0) candidates = useful;
+    // dispatchers only look at the pickup floor and direction of a hall call
+    const el = this.dispatcher.select({ from: call.floor, direction: call.direction, weight: 0 }, candidates, this);
+    if (!el) return null;
+    call.elevatorId = el.id;
+    this.emitEvent(EVENTS.HALL_CALL_ASSIGNED, { floor: call.floor, direction: call.direction, elevatorId: el.id, reason });
+    el.addHallStop(call.floor, call.direction);
+    return el;
+  }
+
+  // keep lit hall calls served: assign waiting ones, move calls off full cars
+  updateHallCalls() {
+    if (this.fireRecall) return;
+    for (const call of this.hallCalls.values()) {
+      if (call.elevatorId === null) {
+        this.assignHallCall(call);
+        continue;
+      }
+      const el = this.elevators.find((e) => e.id === call.elevatorId);
+      if (el.isFull() || !el.isInService()) {
+        el.removeHallStop(call.floor, call.direction);
+        call.elevatorId = null;
+        // the new car (if any) is announced by assignHallCall
+        if (!this.assignHallCall(call)) {
+          this.emitEvent(EVENTS.HALL_CALL_ASSIGNED, { floor: call.floor, direction: call.direction, elevatorId: null });
         }
+      } else if (!el.targets.has(call.floor) && el.currentFloor !== call.floor) {
+        el.addHallStop(call.floor, call.direction);
       }
+    }
+  }
 
-      // if idle, small bonus
-      if (el.state === STATES.IDLE) score -= 50;
+  // a car with open doors announcing a direction answers that hall call, whoever it was assigned to
+  clearAnsweredHallCalls(el) {
+    if (el.state !== STATES.OPEN_DOOR || el.doorDirection === DIR.NONE) return;
+    if (el.dedicatedTo !== null) return; // it is not taking anyone from this landing
+    const key = `${el.currentFloor}:${el.doorDirection}`;
+    const call = this.hallCalls.get(key);
+    if (!call) return;
+    if (call.elevatorId !== null && call.elevatorId !== el.id) {
+      const other = this.elevators.find((e) => e.id === call.elevatorId);
+      other.removeHallStop(call.floor, call.direction);
+    }
+    this.hallCalls.delete(key);
+  }
 
-      // availability also consider weight capacity: if passenger alone would exceed weight -> skip
-      if (passenger.weight + el.occupancyWeight() > el.maxWeight) continue;
+  // Hall mode: a waiting passenger's state follows the hall call for their direction.
+  // If no button is lit (e.g. the car that came was full), they press it again.
+  syncWithHallCall(passenger) {
+    const dir = passenger.to > passenger.from ? DIR.UP : DIR.DOWN;
+    const boardingNow = this.elevators.some(
+      (el) =>
+        el.dedicatedTo === null &&
+        el.currentFloor === passenger.from &&
+        el.state === STATES.OPEN_DOOR &&
+        (el.doorDirection === dir || el.doorDirection === DIR.NONE)
+    );
+    let call = this.hallCalls.get(`${passenger.from}:${dir}`);
+    if (!call && !boardingNow && !this.fireRecall) call = this.pressHallButton(passenger.from, dir);
+    if (!call) return;
+    if (call.elevatorId !== null) {
+      if (passenger.assignedAt === null) passenger.assignedAt = this.tickCount;
+      passenger.state = REQUEST_STATES.ASSIGNED;
+    } else {
+      passenger.state = REQUEST_STATES.QUEUED;
+    }
+    passenger.assignedElevatorId = call.elevatorId;
+  }
 
-      if (score < bestScore) {
-        bestScore = score;
-        bestElevator = el;
-      }
+  /* ---------------------------
+     Operator controls: faults, maintenance, fire recall
+     --------------------------- */
+
+  findElevator(elevatorId) {
+    const el = this.elevators.find((e) => e.id === elevatorId);
+    if (!el) throw new Error(`Unknown elevator ${elevatorId}`);
+    return el;
+  }
+
+  // Fault: the car stops at once at the nearest floor it serves, even between floors
+  // (see stopAtNearestFloor). Riders get out there and wait for another car; pickups
+  // it was sent to are handed to other cars.
+  takeOutOfService(elevatorId, reason = 'fault') {
+    const el = this.findElevator(elevatorId);
+    if (el.state === STATES.OUT_OF_SERVICE) return false;
+    const stranded = el.shutDown(STATES.OUT_OF_SERVICE);
+    this.emitEvent(EVENTS.SERVICE_CHANGED, { elevatorId, floor: el.currentFloor, state: el.state, reason });
+    this.requeueStranded(stranded, el.currentFloor);
+    this.releaseCallsOf(el, `Elevator-${el.id} is out of service`);
+    return true;
+  }
+
+  // Planned maintenance: no new pickups; the car delivers who is on board, then parks.
+  takeForMaintenance(elevatorId, reason = 'maintenance') {
+    const el = this.findElevator(elevatorId);
+    if (el.state === STATES.MAINTENANCE || el.draining) return false;
+    if (el.state === STATES.OUT_OF_SERVICE || el.state === STATES.FIRE_SERVICE) {
+      throw new Error(`Elevator-${elevatorId} is ${el.state}; return it to service first`);
+    }
+    el.startDraining();
+    this.releaseCallsOf(el, `Elevator-${el.id} going to maintenance`);
+    if (el.passengers.length === 0 && el.state === STATES.IDLE) {
+      el.draining = false;
+      el.state = STATES.MAINTENANCE;
     }
+    this.emitEvent(EVENTS.SERVICE_CHANGED, {
+      elevatorId,
+      floor: el.currentFloor,
+      state: el.draining ? 'DRAINING' : el.state,
+      reason,
+    });
+    return true;
+  }
 
-    if (bestElevator) {
-      // add pickup floor and if elevator not at that floor ensure it will move there
-      bestElevator.addTarget(passenger.from);
-      // we add passenger to pendingRequests but mark that elevator will pick them: a simple approach is to add the passenger to pendingRequests but record assignedElevator
-      // To immediately board if elevator is at floor and doors open, we can try to board now
-      // For simplicity here we'll add to pendingRequests and rely on boarding logic when elevator reaches
-      this.pendingRequests.push(passenger); // it will get removed when boarding.
-      return bestElevator;
+  returnToService(elevatorId) {
+    const el = this.findElevator(elevatorId);
+    if (el.isInService()) return false;
+    if (el.state === STATES.FIRE_SERVICE) throw new Error('Clear the fire recall to return recalled cars');
+    if (el.draining) {
+      // maintenance called off before the car parked
+      el.draining = false;
+    } else {
+      el.returnToService();
     }
-    return null;
+    this.emitEvent(EVENTS.SERVICE_CHANGED, { elevatorId, floor: el.currentFloor, state: el.state });
+    return true;
   }
 
-  releasePendingToIdleElevators() {
-    // Try to assign queued requests to idle elevators (periodic)
-    for (let i = this.pendingRequests.length - 1; i >= 0; i--) {
-      const req = this.pendingRequests[i];
-      // try to find an elevator again
-      const el = this.tryAssignElevatorDirect(req);
-      if (el) {
-        // tryAssignElevatorDirect will add the target to elevator; we should remove old queued copy
-        // But note: tryAssignElevatorDirect uses current pendingRequests, so to avoid duplicates, ensure removal
-        // We'll remove this queued request (since it will be onboarded when elevator arrives)
-        // find index again (could have duplicates), remove by matching id
-        const idx = this.pendingRequests.findIndex((p) => p.id === req.id);
-        if (idx !== -1) this.pendingRequests.splice(idx, 1);
-      }
+  // Every car in service goes to the lobby and opens; hall calls are ignored until cleared.
+  activateFireRecall(lobby = this.fireLobbyFloor) {
+    if (!this.isFloor(lobby)) throw new Error(`Invalid fire lobby floor ${lobby}`);
+    if (this.fireRecall) return false;
+    this.fireRecall = { lobby };
+    this.hallCalls.clear();
+    for (const req of this.pendingRequests) {
+      req.state = REQUEST_STATES.QUEUED;
+      req.assignedElevatorId = null;
+    }
+    for (const el of this.elevators) {
+      if (el.state === STATES.OUT_OF_SERVICE || el.state === STATES.MAINTENANCE) continue;
+      el.recallTo(lobby);
+    }
+    this.emitEvent(EVENTS.FIRE_RECALL, { active: true, lobby });
+    return true;
+  }
+
+  clearFireRecall() {
+    if (!this.fireRecall) return false;
+    this.fireRecall = null;
+    for (const el of this.elevators) {
+      if (el.state === STATES.FIRE_SERVICE) el.returnToService();
+    }
+    this.emitEvent(EVENTS.FIRE_RECALL, { active: false });
+    return true;
+  }
+
+  // passengers let out early wait at that floor for another car
+  requeueStranded(stranded, floor) {
+    for (const p of stranded) {
+      p.from = floor;
+      p.boardedAt = null;
+      p.state = REQUEST_STATES.QUEUED;
+      p.assignedElevatorId = null;
+      this.pendingRequests.push(p);
     }
   }
 
-  tryAssignElevatorDirect(passenger) {
-    // Same as tryAssignElevator but DOES NOT push to pendingRequests — only assign target to elevator
-    const reqFloor = passenger.from;
-    const reqDir = passenger.to > passenger.from ? DIR.UP : DIR.DOWN;
+  // hand the car's pickups (destination mode) or hall calls (hall mode) to other cars
+  releaseCallsOf(el, reason) {
+    for (const req of this.pendingRequests) {
+      if (req.state === REQUEST_STATES.ASSIGNED && req.assignedElevatorId === el.id && this.mode === 'destination') {
+        this.reassign(req, reason);
+      }
+    }
+    for (const call of this.hallCalls.values()) {
+      if (call.elevatorId !== el.id) continue;
+      call.elevatorId = null;
+      if (!this.assignHallCall(call, reason)) {
+        this.emitEvent(EVENTS.HALL_CALL_ASSIGNED, { floor: call.floor, direction: call.direction, elevatorId: null });
+      }
+    }
+  }
 
-    let bestElevator = null;
-    let bestScore = Infinity;
+  // lifecycle snapshot of a request, or null for an unknown id
+  getRequest(id) {
+    const p = this.requests.get(id);
+    if (!p) return null;
+    return {
+      id: p.id,
+      from: p.from,
+      to: p.to,
+      weight: p.weight,
+      priority: p.priority,
+      state: p.state,
+      elevatorId: p.assignedElevatorId,
+      requestedAt: p.requestedAt,
+      assignedAt: p.assignedAt,
+      escalatedAt: p.escalatedAt,
+      boardedAt: p.boardedAt,
+      alightedAt: p.alightedAt,
+      endedAt: p.endedAt,
+    };
+  }
 
+  // Walk the waiting passengers once per tick:
+  // - in hall mode they just follow the hall call for their floor and direction
+  // - QUEUED ones get a car if one is available now
+  // - ASSIGNED ones keep their car unless it can no longer carry them
+  // - anyone waiting past requestTimeoutTicks expires
+  updateAssignments() {
+    // a dedicated car is free again once its passenger has boarded, given up or gone elsewhere
     for (const el of this.elevators) {
-      if (el.isFull()) continue;
-      if (passenger.weight + el.occupancyWeight() > el.maxWeight) continue;
-      const dist = Math.abs(el.currentFloor - reqFloor);
-      let score = dist * 10;
-      if (el.currentFloor === reqFloor && (el.state === STATES.IDLE || el.state === STATES.OPEN_DOOR || el.state === STATES.CLOSE_DOOR)) {
-        score -= 1000;
+      if (el.dedicatedTo === null) continue;
+      const req = this.requests.get(el.dedicatedTo);
+      if (!req || !this.pendingRequests.includes(req) || req.assignedElevatorId !== el.id) el.dedicatedTo = null;
+    }
+    this.updateHallCalls();
+    for (const req of this.pendingRequests.slice()) {
+      if (this.tickCount - req.requestedAt >= this.requestTimeoutTicks) {
+        this.endWaiting(req, REQUEST_STATES.EXPIRED);
+        this.emitEvent(EVENTS.REQUEST_EXPIRED, { passengerId: req.id, waited: this.tickCount - req.requestedAt });
+        continue;
       }
-      if (el.state === STATES.MOVING) {
-        if (
-          (el.direction === DIR.UP && el.currentFloor <= reqFloor && reqDir === DIR.UP) ||
-          (el.direction === DIR.DOWN && el.currentFloor >= reqFloor && reqDir === DIR.DOWN)
-        ) {
-          score -= 200;
-        } else {
-          score += 50;
+
+      if (this.tickCount - req.requestedAt >= this.maxWaitFor(req)) {
+        const car = this.elevators.find((el) => el.dedicatedTo === req.id);
+        if (car && car.isInService()) {
+          // on its way; it may have had to leave first to let its riders off (or make room)
+          const atLanding = car.currentFloor === req.from && car.state !== STATES.IDLE;
+          if (!car.targets.has(req.from) && !atLanding) car.addTarget(req.from);
+          continue;
         }
+        if (car) car.dedicatedTo = null;
+        if (this.escalate(req)) continue;
       }
-      if (el.state === STATES.IDLE) score -= 50;
-      if (score < bestScore) {
-        bestScore = score;
-        bestElevator = el;
+
+      if (this.mode === 'hall') {
+        this.syncWithHallCall(req);
+        continue;
       }
-    }
 
-    if (bestElevator) {
-      bestElevator.addTarget(passenger.from);
-      return bestElevator;
+      if (req.state === REQUEST_STATES.QUEUED) {
+        this.tryAssignElevator(req);
+        continue;
+      }
+
+      const el = this.elevators.find((e) => e.id === req.assignedElevatorId);
+      if (!el.isInService()) {
+        this.reassign(req, `Elevator-${el.id} is out of service`);
+      } else if (!canCarry(el, req)) {
+        this.reassign(req, 'assigned car is full');
+      } else if (!el.targets.has(req.from) && el.currentFloor !== req.from) {
+        // the car stopped here but was heading the other way; keep the assignment and come back
+        el.addTarget(req.from);
+      }
     }
-    return null;
   }
 
   // simulate tick
   tick() {
     this.tickCount++;
-    // first try to assign queued requests where possible
-    // (e.g., if an elevator is idle now)
-    for (let i = this.pendingRequests.length - 1; i >= 0; i--) {
-      const req = this.pendingRequests[i];
-      const assigned = this.tryAssignElevatorDirect(req);
-      if (assigned) {
-        console.log(`[System] Pending request ${req.id} assigned to Elevator-${assigned.id}`);
-        // keep the passenger in pendingRequests until boarding occurs in Elevator.handleBoardings
-        // to avoid duplicate assignment we will leave the passenger in the pendingRequests array.
-      }
-    }
+    this.releaseScheduled();
+    this.updateAssignments();
 
     // then step each elevator
     for (const el of this.elevators) {
       el.stepTick(this.pendingRequests);
+      this.clearAnsweredHallCalls(el);
+      // a car draining for maintenance parks once its last passenger is out
+      if (el.draining && el.state === STATES.IDLE && el.passengers.length === 0) {
+        el.draining = false;
+        el.state = STATES.MAINTENANCE;
+        this.emitEvent(EVENTS.SERVICE_CHANGED, { elevatorId: el.id, floor: el.currentFloor, state: el.state });
+      }
     }
 
-    // log status for monitoring
-    this.logStatus();
-
-    // optional: auto-release pending requests occasionally to avoid starvation
-    if (this.tickCount % 10 === 0) {
-      this.releasePendingToIdleElevators();
+    const previousPattern = this.parking.pattern;
+    this.parking.update(this);
+    if (this.parking.pattern !== previousPattern) {
+      this.emitEvent(EVENTS.TRAFFIC_PATTERN, { pattern: this.parking.pattern, previous: previousPattern });
     }
+
+    // subscribers (e.g. the console logger) take their per-tick snapshot here
+    this.emitEvent(EVENTS.TICK);
   }
 
-  logStatus() {
-    console.log('\n--- System Status ---');
-    for (const el of this.elevators) {
-      const s = el.status();
-      console.log(
-        `${el.logPrefix} Floor:${s.floor} State:${s.state} Dir:${s.direction} People:${s.people} Weight:${s.weight} Targets:[${s.targets}]`
-      );
-    }
-    if (this.pendingRequests.length > 0) {
-      console.log(`[System] Pending Requests (${this.pendingRequests.length}): ${this.pendingRequests
-        .map((r) => `${r.from}->${r.to}`)
-        .join(', ')}`);
-    } else {
-      console.log('[System] No pending requests');
-    }
-    console.log('---------------------\n');
+  // a new run: per-run counters such as each car's energy start again. Only a system
+  // at tick 0 starts one; one restored from a snapshot carries on its run (see snapshot.js).
+  startRun() {
+    if (this.tickCount > 0) return;
+    for (const el of this.elevators) el.energy.startRun();
   }
 
   startSimulation(ticks = 60) {
-    console.log(`[System] Starting simulation for ${ticks} ticks (tick=${this.tickMs}ms)`);
+    if (!this.silent) console.log(`[System] Starting simulation for ${ticks} ticks (tick=${this.tickMs}ms)`);
+    this.startRun();
     let executed = 0;
     this.tickHandle = setInterval(() => {
       this.tick();
       executed++;
       if (executed >= ticks) {
         clearInterval(this.tickHandle);
-        console.log('[System] Simulation finished.');
+        this.tickHandle = null;
+        if (!this.silent) {
+          console.log('[System] Simulation finished.');
+          console.log(formatReport(this.report()));
+        }
       }
     }, this.tickMs);
   }
@@ -437,30 +1352,466 @@ class ElevatorSystem {
       this.tickHandle = null;
     }
   }
+
+  // Advance `ticks` steps synchronously, with no timers involved.
+  // Combine with a seed and scheduleRequest() for reproducible runs.
+  runHeadless(ticks = 60) {
+    this.startRun();
+    for (let i = 0; i < ticks; i++) {
+      this.tick();
+    }
+    const report = this.report();
+    if (!this.silent) console.log(formatReport(report));
+    return {
+      ticks: this.tickCount,
+      events: this.eventLog.slice(),
+      status: this.status(),
+      report,
+    };
+  }
+
+  // KPI report for the run so far (JSON-friendly, see metrics.js)
+  report() {
+    return buildReport(this);
+  }
+
+  status() {
+    return {
+      tick: this.tickCount,
+      floors: this.totalFloors,
+      lowestFloor: this.lowestFloor,
+      elevators: this.elevators.map((el) => el.status()),
+      pending: this.pendingRequests.map((r) => ({
+        id: r.id,
+        from: r.from,
+        to: r.to,
+        weight: r.weight,
+        state: r.state,
+        elevatorId: r.assignedElevatorId,
+      })),
+      fireRecall: this.fireRecall ? { active: true, lobby: this.fireRecall.lobby } : { active: false },
+      parking: this.parking.status(),
+      energySaving: this.energySaving,
+      hallButtons: Array.from(this.hallCalls.values())
+        .sort((a, b) => a.floor - b.floor || a.direction.localeCompare(b.direction))
+        .map((c) => ({ floor: c.floor, direction: c.direction, elevatorId: c.elevatorId })),
+    };
+  }
+
+  // Snapshot of the whole simulation (see snapshot.js): building options, the
+  // RNG state, every passenger, queues, lit hall buttons, scheduled arrivals
+  // and each car. The event log is not included.
+  toJSON() {
+    return {
+      floors: this.totalFloors,
+      basements: this.basements,
+      floorHeight: this.floorHeight,
+      tickSeconds: this.tickSeconds,
+      mode: this.mode,
+      dispatch: this.dispatcher.base ? this.dispatcher.base.name : this.dispatcher.name,
+      energySaving: this.energySaving,
+      seed: this.seed,
+      rngState: typeof this.rng.getState === 'function' ? this.rng.getState() : null,
+      requestTimeoutTicks: encodeNumber(this.requestTimeoutTicks),
+      maxWaitTicks: encodeNumber(this.maxWaitTicks),
+      fireLobbyFloor: this.fireLobbyFloor,
+      tickMs: this.tickMs,
+      tickCount: this.tickCount,
+      requestCount: this.requestCount,
+      dispatchCapacityRejections: this.dispatchCapacityRejections,
+      fireRecall: this.fireRecall,
+      parking: this.parking.toJSON(),
+      passengers: this.passengers.map((p) => p.toJSON()),
+      pending: this.pendingRequests.map((p) => p.id),
+      hallCalls: Array.from(this.hallCalls.values(), (c) => ({ ...c })),
+      scheduled: this.scheduled.map((a) => ({ ...a })),
+      elevators: this.elevators.map((el) => el.toJSON()),
+    };
+  }
+
+  // Rebuild a system from toJSON(). `opts` may add { silent } or swap the
+  // dispatch strategy; the building itself comes from the snapshot.
+  static fromJSON(data, opts = {}) {
+    const system = new ElevatorSystem(data.elevators.length, data.floors, {
+      basements: data.basements,
+      floorHeight: data.floorHeight,
+      tickSeconds: data.tickSeconds,
+      mode: data.mode,
+      dispatch: data.dispatch,
+      energySaving: data.energySaving,
+      seed: data.seed === null ? undefined : data.seed,
+      requestTimeoutTicks: decodeNumber(data.requestTimeoutTicks),
+      maxWaitTicks: decodeNumber(data.maxWaitTicks),
+      fireLobbyFloor: data.fireLobbyFloor,
+      tickMs: data.tickMs,
+      parking: { ...data.parking.options, enabled: data.parking.enabled },
+      ...opts,
+      elevatorOptions: data.elevators.map((el) => decodeOptions(el.options)),
+    });
+    if (data.rngState !== null && typeof system.rng.setState === 'function') system.rng.setState(data.rngState);
+    system.tickCount = data.tickCount;
+    system.requestCount = data.requestCount;
+    system.dispatchCapacityRejections = data.dispatchCapacityRejections;
+    system.fireRecall = data.fireRecall;
+    system.parking.restore(data.parking);
+    system.passengers = data.passengers.map((p) => Passenger.fromJSON(p));
+    system.requests = new Map(system.passengers.map((p) => [p.id, p]));
+    system.pendingRequests = data.pending.map((id) => system.requests.get(id));
+    system.hallCalls = new Map(data.hallCalls.map((c) => [`${c.floor}:${c.direction}`, { ...c }]));
+    system.scheduled = data.scheduled.map((a) => ({ ...a }));
+    data.elevators.forEach((el, i) => system.elevators[i].restore(el, system.requests));
+    return system;
+  }
+
+  summary() {
+    const delivered = this.elevators.reduce((s, el) => s + el.deliveredCount, 0);
+    const onBoard = this.elevators.reduce((s, el) => s + el.occupancyCount(), 0);
+    return {
+      ticks: this.tickCount,
+      requests: this.requestCount,
+      delivered,
+      onBoard,
+      waiting: this.pendingRequests.length,
+      notYetArrived: this.scheduled.length,
+    };
+  }
+}
+
+// Build a system from a parsed scenario (see scenario.js) with its arrivals scheduled.
+function createSystemFromScenario(scenario, opts = {}) {
+  const seed = opts.seed !== undefined ? opts.seed : scenario.seed;
+  const dispatch = opts.dispatch !== undefined ? opts.dispatch : scenario.dispatch;
+  const mode = opts.mode !== undefined ? opts.mode : scenario.mode;
+  const parking = opts.parking !== undefined ? opts.parking : scenario.parking;
+  const energySaving = opts.energySaving !== undefined ? opts.energySaving : scenario.energySaving;
+  const system = new ElevatorSystem(scenario.elevators.length, scenario.floors, {
+    ...opts,
+    seed,
+    dispatch,
+    mode,
+    parking,
+    energySaving,
+    basements: scenario.basements,
+    floorHeight: scenario.floorHeight,
+    tickSeconds: scenario.tickSeconds,
+    maxWaitTicks: opts.maxWaitTicks !== undefined ? opts.maxWaitTicks : scenario.maxWaitTicks,
+    elevatorOptions: scenario.elevators,
+  });
+  for (const a of scenario.arrivals) {
+    system.scheduleRequest(a.tick, a.from, a.to, a.weight, a.priority);
+  }
+  return system;
+}
+
+function printSummary(name, system) {
+  const s = system.summary();
+  console.log(`\n=== Scenario: ${name || '(unnamed)'} ===`);
+  console.log(`Building: ${system.totalFloors} floors, ${system.elevators.length} elevator(s)`);
+  console.log(`Dispatch: ${system.dispatcher.name} (${system.mode} mode)`);
+  console.log(`Ticks run: ${s.ticks}`);
+  console.log(`Requests: ${s.requests}  Delivered: ${s.delivered}  On board: ${s.onBoard}  Waiting: ${s.waiting}`);
+  if (s.notYetArrived > 0) console.log(`Arrivals not reached before the run ended: ${s.notYetArrived}`);
+  for (const el of system.elevators) {
+    const st = el.status();
+    console.log(`${el.logPrefix} Floor:${st.floor} State:${st.state} Delivered:${el.deliveredCount}`);
+  }
+}
+
+// very small argv parser: positional args plus `--flag value` / `--flag`
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        args[key] = next;
+        i++;
+      } else {
+        args[key] = true;
+      }
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+function runScenarioCommand(file, args) {
+  let name;
+  let ticks;
+  let system;
+  if (args.resume !== undefined) {
+    // carry on from a snapshot; --ticks is still the length of the whole run
+    if (typeof args.resume !== 'string') throw new Error('--resume needs a snapshot file');
+    const snapshot = readSnapshot(args.resume);
+    const opts = { silent: !args.verbose };
+    if (args.dispatch !== undefined) opts.dispatch = args.dispatch;
+    system = ElevatorSystem.fromJSON(snapshot.system, opts);
+    name = snapshot.scenario;
+    ticks = args.ticks !== undefined ? Number(args.ticks) : snapshot.ticks;
+  } else {
+    const scenario = loadScenario(file);
+    const opts = { silent: !args.verbose };
+    if (args.seed !== undefined) opts.seed = args.seed;
+    if (args.dispatch !== undefined) opts.dispatch = args.dispatch;
+    if (args.mode !== undefined) opts.mode = args.mode;
+    if (args.parking) opts.parking = true;
+    if (args['max-wait'] !== undefined) opts.maxWaitTicks = Number(args['max-wait']);
+    if (args.boarding !== undefined) opts.boarding = args.boarding;
+    if (args['energy-saving'] !== undefined) opts.energySaving = energySavingArg(args['energy-saving']);
+    system = createSystemFromScenario(scenario, opts);
+    name = scenario.name;
+    ticks = args.ticks !== undefined ? Number(args.ticks) : scenario.ticks;
+  }
+
+  if (typeof args.trace === 'string') attachTraceLog(system, args.trace, { scenario: name });
+
+  if (args['snapshot-every'] !== undefined) {
+    const every = Number(args['snapshot-every']);
+    if (!Number.isInteger(every) || every < 1) throw new Error('--snapshot-every must be a positive integer');
+    const dir = typeof args['snapshot-dir'] === 'string' ? args['snapshot-dir'] : 'snapshots';
+    system.on(EVENTS.TICK, (e) => {
+      if (e.tick % every !== 0) return;
+      const saved = writeSnapshot(snapshotPath(dir, name || 'run', e.tick), system, { scenario: name, ticks });
+      if (args.report !== 'json') console.log(`[System] Snapshot written to ${saved}`);
+    });
+  }
+
+  const { report } = system.runHeadless(Math.max(0, ticks - system.tickCount));
+  if (args.report === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  printSummary(name, system);
+  // a verbose run has already printed the report at the end of runHeadless
+  if (system.silent) console.log(formatReport(report));
+}
+
+// --energy-saving [MAX_EXTRA_WAIT_SECONDS]
+function energySavingArg(value) {
+  return value === true ? true : { maxExtraWait: Number(value) };
+}
+
+// "4,6,8" -> [4, 6, 8]
+function listArg(value, parse = Number) {
+  return String(value)
+    .split(',')
+    .map((v) => v.trim())
+    .filter((v) => v !== '')
+    .map(parse);
+}
+
+// Numeric traffic / benchmark flags shared by `generate` and `bench`
+function trafficArgs(args) {
+  const opts = {};
+  for (const key of ['floors', 'rate', 'minutes']) {
+    if (args[key] !== undefined) opts[key] = Number(args[key]);
+  }
+  if (typeof args.pattern === 'string') opts.pattern = args.pattern;
+  if (args.seed !== undefined) opts.seed = args.seed;
+  return opts;
+}
+
+// Print a scenario with generated traffic (see traffic.js), ready for `run`
+function generateCommand(args) {
+  const opts = trafficArgs(args);
+  const floors = opts.floors || 30;
+  const scenario = {
+    name: `${opts.pattern || 'up-peak'}-${floors}`,
+    floors,
+    elevators: args.cars !== undefined ? Number(args.cars) : 6,
+    seed: opts.seed === undefined ? 1 : opts.seed,
+    arrivals: generateTraffic({ ...opts, floors }),
+  };
+  const json = JSON.stringify(scenario, null, 2);
+  if (typeof args.out === 'string') {
+    fs.writeFileSync(args.out, `${json}\n`);
+    console.log(`[System] ${scenario.arrivals.length} arrivals written to ${args.out}`);
+  } else {
+    console.log(json);
+  }
+}
+
+function benchCommand(args) {
+  const opts = trafficArgs(args);
+  if (args.cars !== undefined) opts.cars = listArg(args.cars);
+  if (args.capacity !== undefined) opts.capacity = listArg(args.capacity);
+  if (args.dispatch !== undefined) opts.dispatch = listArg(args.dispatch, String);
+  if (args.trials !== undefined) opts.trials = Number(args.trials);
+  if (args.mode !== undefined) opts.mode = args.mode;
+  for (const name of opts.dispatch || []) resolveDispatcher(name); // fail before running anything
+  const rows = runBenchmark(
+    (p) => new ElevatorSystem(p.elevators, p.floors, p),
+    opts,
+    (row) =>
+      console.error(
+        `[Bench] ${row.cars} cars x ${row.capacity} people, ${row.dispatch}: wait avg ${row.wait_avg_s}s p95 ${row.wait_p95_s}s, delivered ${row.delivered_pct}%, ${row.energy_kwh} kWh`
+      )
+  );
+  const csv = toCsv(rows);
+  if (typeof args.out === 'string') {
+    fs.writeFileSync(args.out, csv);
+    console.error(`[Bench] ${rows.length} configurations written to ${args.out}`);
+  } else {
+    process.stdout.write(csv);
+  }
+}
+
+// Read a trace log (see trace.js): one run's events, filtered, a journey, or a diff of two runs
+function traceCommand(file, args) {
+  const run = pickRun(readTrace(file), args.run !== undefined ? Number(args.run) : -1);
+  if (args.diff !== undefined) {
+    if (typeof args.diff !== 'string') throw new Error('--diff needs a second trace file');
+    const other = pickRun(readTrace(args.diff), args['diff-run'] !== undefined ? Number(args['diff-run']) : -1);
+    const limit = args.limit !== undefined ? Number(args.limit) : 10;
+    console.log(formatDiff(run, other, diffRuns(run, other), limit));
+    return;
+  }
+  if (args.journey !== undefined) {
+    console.log(formatJourney(journey(run.records, String(args.journey))));
+    return;
+  }
+  const filter = {};
+  if (args.passenger !== undefined) filter.passenger = String(args.passenger);
+  if (args.elevator !== undefined) filter.elevator = Number(args.elevator);
+  for (const r of filterRecords(run.records, filter)) {
+    console.log(args.json ? JSON.stringify(r) : formatRecord(r));
+  }
+}
+
+// events a serve-mode system keeps in memory (the trace log, if any, has them all)
+const SERVE_EVENT_LOG_LIMIT = 1000;
+
+function serveCommand(args) {
+  const port = args.port !== undefined ? Number(args.port) : 3000;
+  const host = typeof args.host === 'string' ? args.host : '127.0.0.1';
+  const params = {
+    elevators: args.elevators !== undefined ? Number(args.elevators) : 3,
+    floors: args.floors !== undefined ? Number(args.floors) : 12,
+    tickMs: args['tick-ms'] !== undefined ? Number(args['tick-ms']) : 700,
+  };
+  if (args.dispatch !== undefined) params.dispatch = args.dispatch;
+  if (args.mode !== undefined) params.mode = args.mode;
+  if (args.seed !== undefined) params.seed = args.seed;
+  if (args.parking) params.parking = true;
+  if (args['max-wait'] !== undefined) params.maxWaitTicks = Number(args['max-wait']);
+  if (args.boarding !== undefined) params.boarding = args.boarding;
+  if (args['energy-saving'] !== undefined) params.energySaving = energySavingArg(args['energy-saving']);
+
+  const trace = typeof args.trace === 'string' ? args.trace : null;
+  const server = createServer((p) => {
+    const system = new ElevatorSystem(p.elevators, p.floors, { ...p, silent: true, eventLogLimit: SERVE_EVENT_LOG_LIMIT });
+    if (trace) attachTraceLog(system, trace, { scenario: 'serve' }); // a new run in the log after every reset
+    return system;
+  }, params);
+  server.listen(port, host, () => {
+    console.log(`[System] Control API listening on http://${host}:${port} (panel at /, events at /events)`);
+  });
+  process.on('SIGINT', () => {
+    server.controller.close();
+    server.close(() => process.exit(0));
+  });
 }
 
 /* ---------------------------
    Example usage / simulation
    --------------------------- */
 
+// Usage:
+//   node server.js [demo [scenario]] [--display terminal|log] [--tick-ms 700]
+//                                        realtime demo (scenarios/sample.json by default)
+//   node server.js run <scenario> [--ticks N] [--seed S] [--dispatch NAME] [--mode hall|destination] [--parking] [--report json] [--verbose]
+//                      [--max-wait TICKS] [--boarding skip|hold] [--energy-saving [MAX_EXTRA_WAIT_S]]
+//                      [--snapshot-every N] [--snapshot-dir snapshots] [--trace run.jsonl]
+//   node server.js run --resume <snapshot.json> [--ticks N] [--dispatch NAME] [--snapshot-every N] [--report json] [--verbose]
+//   node server.js serve [--port 3000] [--host 127.0.0.1] [--elevators 3] [--floors 12] [--tick-ms 700]
+//                        [--dispatch NAME] [--mode hall|destination] [--seed S] [--parking] [--max-wait TICKS] [--boarding skip|hold]
+//                        [--energy-saving [MAX_EXTRA_WAIT_S]] [--trace serve.jsonl]
+//   node server.js generate [--floors 30] [--cars 6] [--pattern up-peak|down-peak|lunch|interfloor] [--rate 20]
+//                           [--minutes 30] [--seed S] [--out scenario.json]
+//   node server.js bench [--floors 30] [--cars 4,6,8] [--capacity 8,13] [--dispatch heuristic,eta] [--mode hall|destination]
+//                        [--pattern up-peak] [--rate 20] [--minutes 20] [--trials 5] [--seed S] [--out bench.csv]
+//   node server.js trace <trace.jsonl> [--run N] [--passenger ID] [--elevator N] [--journey ID] [--json]
+//   node server.js trace <a.jsonl> --diff <b.jsonl> [--run N] [--diff-run N] [--limit 10]
+//                        runs are numbered from 1; the default is the last run in each file
+//   dispatch strategies: heuristic (default), nearest, collective, eta; add "+energy" (e.g. eta+energy)
+//   for energy-saving dispatch
 if (require.main === module) {
-  // Create system: 3 elevators, 12 floors
-  const system = new ElevatorSystem(3, 12, { tickMs: 700 });
+  const args = parseArgs(process.argv.slice(2));
+  const [command, file] = args._;
 
-  // Sample requests (simulate people pressing buttons at times)
-  setTimeout(() => system.requestElevator(1, 7, 60), 300); // from 1 -> 7
-  setTimeout(() => system.requestElevator(3, 9, 70), 1500); // from 3 -> 9
-  setTimeout(() => system.requestElevator(10, 2, 80), 2200); // from 10 -> 2
-  setTimeout(() => system.requestElevator(5, 12, 65), 5000); // from 5 -> 12
-  setTimeout(() => system.requestElevator(2, 6, 90), 7000); // from 2 -> 6
-  setTimeout(() => system.requestElevator(11, 1, 75), 9000); // from 11 -> 1
-
-  // Over-capacity test: many passengers at same floor
-  setTimeout(() => {
-    for (let i = 0; i < 10; i++) {
-      system.requestElevator(4, 8, 70 + (i % 3) * 10); // many requests from floor 4 -> 8
+  if (command === 'run') {
+    if (!file && args.resume === undefined) {
+      console.error('Usage: node server.js run <scenario.json|scenario.csv> [--ticks N] [--seed S] [--dispatch NAME] [--mode hall|destination] [--parking] [--report json] [--verbose] [--max-wait TICKS] [--boarding skip|hold] [--energy-saving [SECONDS]] [--snapshot-every N] [--snapshot-dir DIR] [--trace FILE]');
+      console.error('       node server.js run --resume <snapshot.json> [--ticks N]');
+      console.error(`Dispatch strategies: ${Object.keys(DISPATCHERS).join(', ')} (add "+energy" for energy-saving dispatch)`);
+      process.exit(1);
     }
-  }, 12000);
-
-  system.startSimulation(80); // run 80 ticks then stop
+    try {
+      runScenarioCommand(file, args);
+    } catch (err) {
+      console.error(`[System] Could not run scenario ${file || args.resume}: ${err.message}`);
+      process.exit(1);
+    }
+  } else if (command === 'serve') {
+    try {
+      serveCommand(args);
+    } catch (err) {
+      console.error(`[System] Could not start the control API: ${err.message}`);
+      process.exit(1);
+    }
+  } else if (command === 'trace') {
+    if (!file) {
+      console.error('Usage: node server.js trace <trace.jsonl> [--run N] [--passenger ID] [--elevator N] [--journey ID] [--json]');
+      console.error('       node server.js trace <a.jsonl> --diff <b.jsonl> [--run N] [--diff-run N] [--limit 10]');
+      process.exit(1);
+    }
+    try {
+      traceCommand(file, args);
+    } catch (err) {
+      console.error(`[System] Could not read trace ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  } else if (command === 'generate' || command === 'bench') {
+    try {
+      if (command === 'generate') generateCommand(args);
+      else benchCommand(args);
+    } catch (err) {
+      console.error(`[System] ${command} failed: ${err.message}`);
+      process.exit(1);
+    }
+  } else if (command === undefined || command === 'demo') {
+    // Sample traffic, including an over-capacity burst at floor 4, replayed in realtime.
+    // The animated view needs a terminal; piped output gets the plain log.
+    try {
+      const scenario = loadScenario(file || path.join(__dirname, 'scenarios', 'sample.json'));
+      const system = createSystemFromScenario(scenario, {
+        tickMs: args['tick-ms'] !== undefined ? Number(args['tick-ms']) : 700,
+        display: typeof args.display === 'string' ? args.display : 'terminal',
+      });
+      if (typeof args.trace === 'string') attachTraceLog(system, args.trace, { scenario: scenario.name });
+      system.startSimulation(scenario.ticks);
+    } catch (err) {
+      console.error(`[System] Could not start the demo: ${err.message}`);
+      process.exit(1);
+    }
+  } else {
+    console.error(`Unknown command "${command}". Use run, serve, trace, demo, generate or bench.`);
+    process.exit(1);
+  }
 }
+
+module.exports = {
+  STATES,
+  DIR,
+  Passenger,
+  Elevator,
+  ElevatorSystem,
+  REQUEST_STATES,
+  EVENTS,
+  createRng,
+  createSystemFromScenario,
+  DISPATCHERS,
+};
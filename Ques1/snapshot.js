@@ -0,0 +1,59 @@
+/**
+ * Snapshots: save a simulation mid-run and carry on from it later
+ *
+ * ElevatorSystem, Elevator and Passenger each have toJSON() and a static
+ * fromJSON(); this module holds the helpers they share and the snapshot files
+ * written by `node server.js run --snapshot-every N`:
+ *
+ *   { "version": 1, "scenario": "morning-rush", "ticks": 240, "system": { ... } }
+ *
+ * `ticks` is the length of the run the snapshot was taken from, so a resumed
+ * run (`node server.js run --resume <file>`) stops where the original would
+ * have. A seeded system also gets its random number generator back, so the
+ * resumed run produces the same request ids and events as the original.
+ * The event log itself is not saved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+// JSON has no Infinity (instant acceleration, no request timeout, fire-service doors)
+function encodeNumber(value) {
+  return typeof value === 'number' && !Number.isFinite(value) ? String(value) : value;
+}
+
+function decodeNumber(value) {
+  return value === 'Infinity' || value === '-Infinity' ? Number(value) : value;
+}
+
+// snapshots/<name>-tick-000120.json
+function snapshotPath(dir, name, tick) {
+  return path.join(dir, `${name}-tick-${String(tick).padStart(6, '0')}.json`);
+}
+
+function writeSnapshot(file, system, meta = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const data = { version: SNAPSHOT_VERSION, ...meta, system: system.toJSON() };
+  fs.writeFileSync(file, `${JSON.stringify(data)}\n`);
+  return file;
+}
+
+function readSnapshot(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || !data.system) throw new Error('Not a simulation snapshot');
+  if (data.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${data.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  return data;
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  encodeNumber,
+  decodeNumber,
+  snapshotPath,
+  writeSnapshot,
+  readSnapshot,
+};
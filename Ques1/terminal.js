@@ -0,0 +1,148 @@
+/**
+ * Animated terminal view of the building
+ *
+ * Draws one frame per tick, in place, with ANSI escape codes: floors as rows,
+ * one shaft per car as columns, and the waiting passengers and lit hall
+ * buttons at the right of each floor. The last few events are listed under
+ * the grid.
+ *
+ *   [▮▮▯▯]▲   car, doors shut, 2/4 full, going up
+ *   ]▮▮▯▯[    doors open        |▮▮▯▯|  doors closing
+ *   [ XX ]    out of service, maintenance or fire service
+ *      ·      a floor the car will stop at
+ *      ┊      a floor the car passes without stopping
+ *
+ * attachDisplay() picks this view or the plain console log (events.js); the
+ * plain log is used whenever the output is not a terminal. Set NO_COLOR to
+ * draw without colours.
+ */
+
+const { STATES } = require('./constants');
+const { EVENTS, formatEvent, attachConsoleLogger } = require('./events');
+
+const CELL_WIDTH = 9;
+const BAR_WIDTH = 4;
+const LOG_LINES = 6;
+const ARROW = { UP: '▲', DOWN: '▼', NONE: ' ' };
+const OUT_OF_SERVICE = [STATES.OUT_OF_SERVICE, STATES.MAINTENANCE, STATES.FIRE_SERVICE];
+
+const ESC = '\x1b[';
+const COLORS = { red: '31', green: '32', yellow: '33', cyan: '36', dim: '2', bold: '1' };
+
+function paint(text, color, useColor) {
+  return useColor && color && text ? `${ESC}${COLORS[color]}m${text}${ESC}0m` : text;
+}
+
+// pad to a fixed width, centred (text holds no escape codes)
+function center(text, width) {
+  const len = Array.from(text).length;
+  const left = Math.floor((width - len) / 2);
+  return ' '.repeat(Math.max(0, left)) + text + ' '.repeat(Math.max(0, width - len - left));
+}
+
+// ▮ per quarter of the car's capacity in use (people or weight, whichever is fuller)
+function loadBar(el) {
+  const load = Math.max(el.occupancyCount() / el.maxPeople, el.occupancyWeight() / el.maxWeight);
+  const filled = Math.min(BAR_WIDTH, Math.ceil(load * BAR_WIDTH - 1e-9));
+  return '▮'.repeat(filled) + '▯'.repeat(BAR_WIDTH - filled);
+}
+
+function carCell(el, useColor) {
+  if (OUT_OF_SERVICE.includes(el.state)) return paint(center('[ XX ]', CELL_WIDTH), 'red', useColor);
+  const bar = loadBar(el);
+  let body;
+  let color;
+  if (el.state === STATES.OPEN_DOOR) {
+    body = `]${bar}[`;
+    color = 'yellow';
+  } else if (el.state === STATES.CLOSE_DOOR) {
+    body = `|${bar}|`;
+    color = 'yellow';
+  } else {
+    body = `[${bar}]`;
+    color = el.state === STATES.MOVING ? 'green' : null;
+  }
+  return paint(center(`${body}${ARROW[el.direction]}`, CELL_WIDTH), color, useColor);
+}
+
+// Lines of one frame: the shaft grid, a status line and the recent events.
+function renderFrame(system, recent = [], useColor = true) {
+  const lines = [];
+  const st = system.status();
+  const header = ['     '];
+  for (const el of system.elevators) header.push(center(`#${el.id}`, CELL_WIDTH));
+  header.push(' waiting');
+  lines.push(paint(header.join(''), 'bold', useColor));
+
+  for (let i = system.floors.length - 1; i >= 0; i--) {
+    const f = system.floors[i];
+    const row = [paint(String(f).padStart(4) + ' ', 'dim', useColor)];
+    for (const el of system.elevators) {
+      if (el.currentFloor === f) row.push(carCell(el, useColor));
+      else if (!el.serves(f)) row.push(paint(center('┊', CELL_WIDTH), 'dim', useColor));
+      else row.push(center(el.targets.has(f) ? '·' : '', CELL_WIDTH));
+    }
+    const waiting = system.pendingRequests.filter((p) => p.from === f).length;
+    const lit = st.hallButtons
+      .filter((c) => c.floor === f)
+      .map((c) => ARROW[c.direction])
+      .join('');
+    const calls = `${waiting ? `${waiting} waiting ` : ''}${lit}`;
+    row.push(' ' + paint(calls, 'cyan', useColor));
+    lines.push(row.join(''));
+  }
+
+  const info = [`tick ${st.tick}`, `${st.pending.length} waiting`];
+  if (st.parking.enabled) info.push(`traffic: ${st.parking.pattern}`);
+  if (st.fireRecall.active) info.push(paint(`FIRE RECALL (lobby ${st.fireRecall.lobby})`, 'red', useColor));
+  lines.push('');
+  lines.push(info.join(' — '));
+  lines.push('');
+  for (const line of recent) lines.push(paint(line, 'dim', useColor));
+  return lines;
+}
+
+// Redraw the building in place every tick. Returns a function that detaches the view.
+function attachTerminalRenderer(system, stream = process.stdout) {
+  const useColor = !process.env.NO_COLOR;
+  const recent = [];
+  const showCursor = () => stream.write(`${ESC}?25h`);
+  stream.write(`${ESC}2J${ESC}?25l`); // clear the screen and hide the cursor
+  process.once('exit', showCursor);
+
+  const onEvent = (e) => {
+    if (e.type !== EVENTS.TICK) {
+      const line = formatEvent(e);
+      if (line) {
+        recent.push(line);
+        if (recent.length > LOG_LINES) recent.shift();
+      }
+      return;
+    }
+    // home, draw every line over the old one, clear whatever is left below
+    const frame = renderFrame(system, recent, useColor).map((line) => `${line}${ESC}K`);
+    stream.write(`${ESC}H${frame.join('\n')}\n${ESC}J`);
+  };
+  system.on('event', onEvent);
+  return () => {
+    system.off('event', onEvent);
+    process.removeListener('exit', showCursor);
+    showCursor();
+  };
+}
+
+// Attach the chosen console output: 'log' (a line per event) or 'terminal'
+// (the animated view, falling back to the log when `stream` is not a TTY).
+function attachDisplay(system, display = 'log', stream = process.stdout) {
+  if (display !== 'log' && display !== 'terminal') {
+    throw new Error(`Unknown display "${display}". Use "log" or "terminal".`);
+  }
+  if (display === 'terminal' && stream.isTTY) return attachTerminalRenderer(system, stream);
+  return attachConsoleLogger(system);
+}
+
+module.exports = {
+  renderFrame,
+  attachTerminalRenderer,
+  attachDisplay,
+};
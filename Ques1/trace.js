@@ -0,0 +1,262 @@
+/**
+ * Trace log: every step of a run as JSON Lines, and the tools to read it back
+ *
+ * attachTraceLog() appends one record per event to a file and never rewrites
+ * it, so several runs can share a log. Each run starts with a header record:
+ *
+ *   {"type":"run","tick":0,"scenario":"lunch","dispatch":"eta","mode":"destination","seed":1,"floors":12,"elevators":3}
+ *
+ * followed by the run's events, each with the fields of the event (events.js)
+ * plus elevatorId and passengerId (null when the event has none) and the
+ * state before and after it:
+ *
+ *   {"tick":5,"type":"boarded","elevatorId":2,"passengerId":"k2x9a1b","floor":3,"to":7,"weight":70,
+ *    "before":{"elevator":"OPEN_DOOR","passenger":"ASSIGNED"},"after":{"elevator":"OPEN_DOOR","passenger":"BOARDED"}}
+ *
+ * "elevator" is the car's state (constants.js STATES), "passenger" the
+ * request's lifecycle state (REQUEST_STATES). Every tick ends with a `tick`
+ * record holding where each car is: { id, floor, state, direction, people }.
+ *
+ * Reading (`node server.js trace <file>`): filterRecords() by passenger or
+ * car, journey() for one passenger's timeline, and diffRuns() to find the
+ * ticks where two runs (say, two dispatch strategies) went different ways.
+ */
+
+const fs = require('fs');
+const { EVENTS, formatEvent } = require('./events');
+
+const RUN = 'run';
+
+function carStates(system) {
+  return system.elevators.map((el) => ({
+    id: el.id,
+    floor: el.currentFloor,
+    state: el.state,
+    direction: el.direction,
+    people: el.occupancyCount(),
+  }));
+}
+
+// Append every event of `system` to `file`, a tick at a time. `meta` goes into
+// the run header (e.g. { scenario }). Returns a function that detaches the log.
+function attachTraceLog(system, file, meta = {}) {
+  const elevatorState = new Map(system.elevators.map((el) => [el.id, el.state]));
+  const passengerState = new Map(); // id -> last state written
+  let lines = [];
+  const flush = () => {
+    if (lines.length === 0) return;
+    fs.appendFileSync(file, lines.join(''));
+    lines = [];
+  };
+  const write = (record) => lines.push(`${JSON.stringify(record)}\n`);
+
+  write({
+    type: RUN,
+    tick: system.tickCount,
+    ...meta,
+    dispatch: system.dispatcher.name,
+    mode: system.mode,
+    seed: system.seed === undefined ? null : system.seed,
+    floors: system.totalFloors,
+    elevators: system.elevators.length,
+  });
+  flush();
+
+  const onEvent = (e) => {
+    if (e.type === EVENTS.TICK) {
+      const cars = carStates(system);
+      for (const car of cars) elevatorState.set(car.id, car.state);
+      write({ tick: e.tick, type: e.type, elevatorId: null, passengerId: null, cars });
+      flush();
+      return;
+    }
+    const record = { tick: e.tick, type: e.type, elevatorId: null, passengerId: null, ...e, before: {}, after: {} };
+    const el = system.elevators.find((car) => car.id === e.elevatorId);
+    if (el) {
+      record.before.elevator = elevatorState.get(el.id);
+      record.after.elevator = el.state;
+      elevatorState.set(el.id, el.state);
+    }
+    const passenger = e.passengerId ? system.requests.get(e.passengerId) : null;
+    if (passenger) {
+      record.before.passenger = passengerState.has(passenger.id) ? passengerState.get(passenger.id) : null;
+      record.after.passenger = passenger.state;
+      passengerState.set(passenger.id, passenger.state);
+    }
+    write(record);
+  };
+  system.on('event', onEvent);
+  return () => {
+    system.off('event', onEvent);
+    flush();
+  };
+}
+
+// Parse a trace file into runs: [{ header, records }], oldest first.
+function readTrace(file) {
+  const runs = [];
+  fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${i + 1} is not valid JSON`);
+      }
+      if (record.type === RUN) runs.push({ header: record, records: [] });
+      else if (runs.length === 0) throw new Error(`${file}:${i + 1} comes before any run header`);
+      else runs[runs.length - 1].records.push(record);
+    });
+  if (runs.length === 0) throw new Error(`${file} holds no runs`);
+  return runs;
+}
+
+// Run `index` (1-based; negative counts from the end, -1 = the last run)
+function pickRun(runs, index = -1) {
+  const run = index < 0 ? runs[runs.length + index] : runs[index - 1];
+  if (!run) throw new Error(`No run ${index} in the trace (it has ${runs.length})`);
+  return run;
+}
+
+// Records about one passenger (an id or the start of one) and/or one car.
+// Tick records are left out.
+function filterRecords(records, { passenger, elevator } = {}) {
+  return records.filter((r) => {
+    if (r.type === EVENTS.TICK) return false;
+    if (passenger !== undefined && !(r.passengerId && r.passengerId.startsWith(passenger))) return false;
+    if (elevator !== undefined && r.elevatorId !== elevator) return false;
+    return true;
+  });
+}
+
+function formatRecord(r) {
+  if (r.type === EVENTS.TICK) {
+    const cars = r.cars.map((c) => `#${c.id} ${c.floor} ${c.state}${c.direction !== 'NONE' ? ` ${c.direction}` : ''}`);
+    return `[${r.tick}] tick — ${cars.join(' | ')}`;
+  }
+  const line = formatEvent(r) || `${r.type} ${JSON.stringify(r)}`;
+  const changes = ['elevator', 'passenger']
+    .filter((k) => r.before && r.after && k in r.after && r.before[k] !== r.after[k])
+    .map((k) => (r.before[k] ? `${k} ${r.before[k]} -> ${r.after[k]}` : `${k} ${r.after[k]}`));
+  return `[${r.tick}] ${line}${changes.length ? `  (${changes.join(', ')})` : ''}`;
+}
+
+// One passenger's trip, step by step: { passengerId, from, to, steps, waited, rode, total }.
+// Durations are in ticks; null while the step has not happened.
+function journey(records, passenger) {
+  const mine = filterRecords(records, { passenger });
+  if (mine.length === 0) throw new Error(`No passenger "${passenger}" in the trace`);
+  const ids = new Set(mine.map((r) => r.passengerId));
+  if (ids.size > 1) throw new Error(`"${passenger}" matches ${ids.size} passengers: ${Array.from(ids).join(', ')}`);
+  const at = (type) => {
+    const r = mine.find((x) => x.type === type);
+    return r ? r.tick : null;
+  };
+  const queued = mine.find((r) => r.type === EVENTS.REQUEST_QUEUED);
+  const requested = at(EVENTS.REQUEST_QUEUED);
+  const boarded = at(EVENTS.BOARDED);
+  const alighted = at(EVENTS.ALIGHTED);
+  const since = (a, b) => (a !== null && b !== null ? b - a : null);
+  return {
+    passengerId: mine[0].passengerId,
+    from: queued ? queued.from : null,
+    to: queued ? queued.to : null,
+    steps: mine,
+    waited: since(requested, boarded),
+    rode: since(boarded, alighted),
+    total: since(requested, alighted),
+  };
+}
+
+function formatJourney(j) {
+  const out = [`Passenger ${j.passengerId}: ${j.from} -> ${j.to}`];
+  const first = j.steps[0].tick;
+  for (const r of j.steps) out.push(`  +${String(r.tick - first).padStart(4)}  ${formatRecord(r)}`);
+  const ticks = (n) => (n === null ? '-' : `${n} ticks`);
+  out.push(`Waited ${ticks(j.waited)}, rode ${ticks(j.rode)}, door to door ${ticks(j.total)}`);
+  return out.join('\n');
+}
+
+// Comparable form of a record: passenger ids become their request number
+// (#1, #2, ... in queue order), so runs with different ids still line up.
+function normalizer() {
+  const numbers = new Map();
+  return (r) => {
+    const out = { ...r };
+    if (r.passengerId) {
+      if (!numbers.has(r.passengerId)) numbers.set(r.passengerId, `#${numbers.size + 1}`);
+      out.passengerId = numbers.get(r.passengerId);
+    }
+    return JSON.stringify(out);
+  };
+}
+
+function byTick(records) {
+  const ticks = new Map();
+  const normalize = normalizer();
+  for (const r of records) {
+    if (!ticks.has(r.tick)) ticks.set(r.tick, []);
+    ticks.get(r.tick).push({ key: normalize(r), record: r });
+  }
+  return ticks;
+}
+
+// Tick-by-tick differences between two runs: [{ tick, onlyA, onlyB }], where
+// onlyA / onlyB are the records of that tick found in one run but not the other.
+function diffRuns(a, b) {
+  const ta = byTick(a.records);
+  const tb = byTick(b.records);
+  const ticks = Array.from(new Set([...ta.keys(), ...tb.keys()])).sort((x, y) => x - y);
+  const diffs = [];
+  for (const tick of ticks) {
+    const ra = ta.get(tick) || [];
+    const rb = tb.get(tick) || [];
+    const keysB = rb.map((x) => x.key);
+    const onlyA = [];
+    for (const x of ra) {
+      const i = keysB.indexOf(x.key);
+      if (i === -1) onlyA.push(x.record);
+      else keysB[i] = null; // matched once
+    }
+    const keysA = ra.map((x) => x.key);
+    const onlyB = [];
+    for (const x of rb) {
+      const i = keysA.indexOf(x.key);
+      if (i === -1) onlyB.push(x.record);
+      else keysA[i] = null;
+    }
+    if (onlyA.length || onlyB.length) diffs.push({ tick, onlyA, onlyB });
+  }
+  return diffs;
+}
+
+function formatDiff(a, b, diffs, limit = 10) {
+  const label = (run) => `${run.header.scenario || 'run'} (${run.header.dispatch}, ${run.header.mode})`;
+  const out = [`A: ${label(a)}`, `B: ${label(b)}`];
+  if (diffs.length === 0) {
+    out.push('The runs are identical.');
+    return out.join('\n');
+  }
+  out.push(`The runs diverge at tick ${diffs[0].tick}; ${diffs.length} tick(s) differ.`);
+  for (const d of diffs.slice(0, limit)) {
+    out.push('', `tick ${d.tick}`);
+    for (const r of d.onlyA) out.push(`  A ${formatRecord(r)}`);
+    for (const r of d.onlyB) out.push(`  B ${formatRecord(r)}`);
+  }
+  if (diffs.length > limit) out.push('', `... ${diffs.length - limit} more (--limit N to see them)`);
+  return out.join('\n');
+}
+
+module.exports = {
+  attachTraceLog,
+  readTrace,
+  pickRun,
+  filterRecords,
+  formatRecord,
+  journey,
+  formatJourney,
+  diffRuns,
+  formatDiff,
+};
@@ -0,0 +1,129 @@
+/**
+ * Monte Carlo traffic generator
+ *
+ * Produces passenger arrivals in the scenario format ({ tick, from, to, weight },
+ * see scenario.js) for a building and a traffic pattern:
+ *
+ *   - arrivals are a Poisson process: exponential gaps at `rate` passengers
+ *     per minute of simulated time
+ *   - each trip's origin and destination are drawn from an origin/destination
+ *     matrix: a built-in pattern, or your own `matrix` of weights
+ *   - weights are normally distributed, rounded and clamped to [min, max]
+ *
+ * Built-in patterns mix three kinds of trip (incoming: lobby -> upper floor,
+ * outgoing: upper floor -> lobby, interfloor: between two upper floors):
+ *
+ *   up-peak     85% incoming,  5% outgoing, 10% interfloor
+ *   down-peak    5% incoming, 85% outgoing, 10% interfloor
+ *   lunch       40% incoming, 40% outgoing, 20% interfloor
+ *   interfloor  10% incoming, 10% outgoing, 80% interfloor
+ *
+ * Options:
+ *   { floors: 30, basements: 0, lobby: 1, pattern: 'up-peak', mix: { incoming, outgoing, interfloor },
+ *     matrix: [[...]], rate: 20, minutes: 30, tickSeconds: 1, seed: 1,
+ *     weight: { mean: 75, sd: 15, min: 30, max: 150 } }
+ *
+ * `mix` overrides the pattern's shares; `matrix` (one row per origin floor,
+ * one column per destination floor, lowest floor first) replaces both.
+ */
+
+const { createRng } = require('./rng');
+const { buildingFloors } = require('./floors');
+
+const PATTERN_MIX = {
+  'up-peak': { incoming: 0.85, outgoing: 0.05, interfloor: 0.1 },
+  'down-peak': { incoming: 0.05, outgoing: 0.85, interfloor: 0.1 },
+  lunch: { incoming: 0.4, outgoing: 0.4, interfloor: 0.2 },
+  interfloor: { incoming: 0.1, outgoing: 0.1, interfloor: 0.8 },
+};
+
+const DEFAULT_WEIGHT = { mean: 75, sd: 15, min: 30, max: 150 };
+
+// Origin/destination weights for a pattern: matrix[i][j] for floors[i] -> floors[j].
+// Every floor other than the lobby is equally likely.
+function odMatrix(floors, mix, lobby = 1) {
+  if (!floors.includes(lobby)) throw new Error(`Lobby floor ${lobby} is not in the building`);
+  const others = floors.length - 1;
+  return floors.map((from) =>
+    floors.map((to) => {
+      if (from === to) return 0;
+      if (from === lobby) return mix.incoming / others;
+      if (to === lobby) return mix.outgoing / others;
+      return others > 1 ? mix.interfloor / (others * (others - 1)) : 0;
+    })
+  );
+}
+
+function patternMix(pattern, mix) {
+  const base = PATTERN_MIX[pattern];
+  if (!base) throw new Error(`Unknown traffic pattern "${pattern}". Available: ${Object.keys(PATTERN_MIX).join(', ')}`);
+  const out = { ...base, ...mix };
+  for (const key of Object.keys(base)) {
+    if (typeof out[key] !== 'number' || !(out[key] >= 0)) throw new Error(`Traffic mix "${key}" must be a number >= 0`);
+  }
+  return out;
+}
+
+// Draw an index from a list of non-negative weights.
+function pick(weights, total, rng) {
+  let r = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1; // rounding left r at exactly 0
+}
+
+// Normal variate (Box-Muller), rounded and clamped
+function drawWeight(w, rng) {
+  const u = 1 - rng(); // (0, 1], keeps log() finite
+  const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  return Math.min(w.max, Math.max(w.min, Math.round(w.mean + z * w.sd)));
+}
+
+function generateTraffic(opts = {}) {
+  const floors = buildingFloors(opts.floors === undefined ? 30 : opts.floors, opts.basements || 0);
+  const rate = opts.rate === undefined ? 20 : opts.rate; // passengers per minute
+  const minutes = opts.minutes === undefined ? 30 : opts.minutes;
+  const tickSeconds = opts.tickSeconds || 1;
+  if (typeof rate !== 'number' || !(rate > 0)) throw new Error('Traffic "rate" must be a positive number (passengers per minute)');
+  if (typeof minutes !== 'number' || !(minutes > 0)) throw new Error('Traffic "minutes" must be a positive number');
+  const weight = { ...DEFAULT_WEIGHT, ...opts.weight };
+  if (!(weight.min <= weight.max) || !(weight.sd >= 0)) throw new Error('Traffic "weight" needs sd >= 0 and min <= max');
+
+  const matrix = opts.matrix || odMatrix(floors, patternMix(opts.pattern || 'up-peak', opts.mix), opts.lobby || 1);
+  if (matrix.length !== floors.length || matrix.some((row) => !Array.isArray(row) || row.length !== floors.length)) {
+    throw new Error(`Traffic "matrix" must be ${floors.length} x ${floors.length} (one row and column per floor)`);
+  }
+  // flatten to one weight per trip so each draw is a single pick
+  const trips = [];
+  const tripWeights = [];
+  matrix.forEach((row, i) =>
+    row.forEach((w, j) => {
+      if (i === j || !(w > 0)) return;
+      trips.push([floors[i], floors[j]]);
+      tripWeights.push(w);
+    })
+  );
+  const total = tripWeights.reduce((s, w) => s + w, 0);
+  if (trips.length === 0) throw new Error('Traffic matrix has no trips');
+
+  const rng = createRng(opts.seed === undefined ? 1 : opts.seed);
+  const arrivals = [];
+  const end = minutes * 60;
+  let t = 0;
+  for (;;) {
+    t += -Math.log(1 - rng()) / (rate / 60); // exponential gap, seconds
+    if (t > end) break;
+    const [from, to] = trips[pick(tripWeights, total, rng)];
+    arrivals.push({ tick: Math.max(1, Math.ceil(t / tickSeconds)), from, to, weight: drawWeight(weight, rng) });
+  }
+  return arrivals;
+}
+
+module.exports = {
+  PATTERN_MIX,
+  DEFAULT_WEIGHT,
+  odMatrix,
+  generateTraffic,
+};
@@ -0,0 +1,86 @@
+// clock.js
+// Time controls: how long a player may think.
+//
+//   moveSeconds       limit for each move (null: none)
+//   totalSeconds      Fischer clock: each player's time for the whole game (null: none)
+//   incrementSeconds  added to a player's clock after every move they make
+//   casual            running out of time plays a random legal move instead of losing
+//
+// The clocks are not stored separately: every move in the game state carries
+// clock: { used, left } (seconds thought, and seconds left on the mover's clock
+// afterwards, or null without a total clock), so the time left is read back
+// from the moves. Undo, load and replay put the clocks back with the board.
+
+const NO_TIME_CONTROL = { moveSeconds: null, totalSeconds: null, incrementSeconds: 0, casual: false };
+
+// --clock MINUTES[+SECONDS], chess style: "5+3" is 5 minutes each plus 3 seconds a move
+function parseClock(text) {
+  const m = /^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?$/.exec(text || '');
+  if (!m || Number(m[1]) <= 0) throw new Error('--clock must look like 5+3 (minutes each, plus seconds added per move) or 5');
+  return { totalSeconds: Number(m[1]) * 60, incrementSeconds: Number(m[2] || 0) };
+}
+
+function hasTimeControl(tc) {
+  return tc.moveSeconds !== null || tc.totalSeconds !== null;
+}
+
+// "5+3" for the --clock flag and the Clock tag of a game record
+function clockLabel(tc) {
+  return `${tc.totalSeconds / 60}${tc.incrementSeconds ? `+${tc.incrementSeconds}` : ''}`;
+}
+
+// 75.4 -> "1:15", 9.2 -> "9.2s"
+function formatSeconds(seconds) {
+  if (seconds < 10) return `${Math.max(0, seconds).toFixed(1)}s`;
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Seconds left on `player`'s clock in `state`, or null without a total clock
+function clockLeft(tc, state, player) {
+  if (tc.totalSeconds === null) return null;
+  for (let i = state.moves.length - 1; i >= 0; i--) {
+    const move = state.moves[i];
+    if (move.player === player && move.clock && move.clock.left !== null && move.clock.left !== undefined) return move.clock.left;
+  }
+  return tc.totalSeconds;
+}
+
+// Seconds `player` may think about their next move, or null for no limit
+function timeAllowed(tc, state, player) {
+  const limits = [tc.moveSeconds, clockLeft(tc, state, player)].filter((s) => s !== null);
+  return limits.length ? Math.min(...limits) : null;
+}
+
+// What goes with a move that took `used` seconds: { used, left }. The increment is
+// only added when the player moved in time.
+function spendTime(tc, state, player, used) {
+  const allowed = timeAllowed(tc, state, player);
+  const spent = allowed === null ? used : Math.min(used, allowed);
+  const round = (n) => Math.round(n * 10) / 10;
+  const left = clockLeft(tc, state, player);
+  if (left === null) return { used: round(spent), left: null };
+  const inTime = allowed === null || used < allowed;
+  return { used: round(spent), left: round(Math.max(0, left - spent) + (inTime ? tc.incrementSeconds : 0)) };
+}
+
+// Shown with each prompt, e.g. "clock 4:55, move 0:30", after `elapsed` seconds of thinking
+function clockStatus(tc, state, player, elapsed = 0) {
+  const parts = [];
+  const left = clockLeft(tc, state, player);
+  if (left !== null) parts.push(`clock ${formatSeconds(left - elapsed)}`);
+  if (tc.moveSeconds !== null) parts.push(`move ${formatSeconds(tc.moveSeconds - elapsed)}`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  NO_TIME_CONTROL,
+  parseClock,
+  hasTimeControl,
+  clockLabel,
+  formatSeconds,
+  clockLeft,
+  timeAllowed,
+  spendTime,
+  clockStatus,
+};
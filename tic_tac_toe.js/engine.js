@@ -0,0 +1,343 @@
+// engine.js
+// The rules of the game with no input or output: build a game, list the legal
+// moves, play one, read the result. Nothing is printed and nothing is mutated;
+// every call returns plain data, so games can be tested, searched, sent over
+// the network or saved as they are.
+//
+//   const { newGame, legalMoves, applyMove, result } = require('./engine');
+//   let state = newGame({ rows: 3, cols: 3, k: 3, variant: 'misere', rules: { diagonalLock: false } });
+//   const played = applyMove(state, { coord: 'B2' });   // or { r: 1, c: 1 }
+//   if (played.error) console.log(played.error);
+//   else state = played.state;
+//   result(state);   // { over: false, winner: null, draw: false, line: null, forfeit: null }
+//
+// Game state (treat it as read-only):
+//   rows, cols, k      board size and marks in a row
+//   variant            a key of VARIANTS
+//   rules              { ruleName: true/false } for every key of RULES
+//   symbols            [player 1's symbol, player 2's symbol]
+//   board              rows x cols array of symbols, '_' for empty
+//   turn               index (0 or 1) of the player to move
+//   lock               Diagonal Lock cells (see lockCells) or null when the rule is off
+//   centerLockedBy     symbol the center is locked to, or null
+//   moves              [{ player, symbol, r, c, coord, locked }] in order; a player
+//                      with no legal move gets { player, pass: true }, one who gives
+//                      up (see forfeit) { player, forfeit: reason }. A move's `clock`
+//                      and `auto` are kept as given, for the caller's own use.
+//   outcome            what result() returns
+
+const EMPTY = '_';
+
+// Board coordinates: a row letter then a column number, e.g. A1 or J12
+function rowLabel(r) {
+  return String.fromCharCode(65 + r);
+}
+
+function cellName(r, c) {
+  return rowLabel(r) + (c + 1);
+}
+
+function makeEmptyBoard(rows = 3, cols = 3) {
+  return Array.from({ length: rows }, () => Array(cols).fill(EMPTY));
+}
+
+function coordToIndex(coord, board) {
+  if (typeof coord !== 'string') return null;
+  const m = /^([A-Z])(\d{1,2})$/.exec(coord.toUpperCase());
+  if (!m) return null;
+  const r = m[1].charCodeAt(0) - 65;
+  const c = Number(m[2]) - 1;
+  if (r >= board.length || c < 0 || c >= board[0].length) return null;
+  return { r, c };
+}
+
+// Has `symbol` got k in a row through (r, c)? Only lines through the last move can have changed.
+const DIRECTIONS = [
+  [0, 1], // row
+  [1, 0], // column
+  [1, 1], // diagonal
+  [1, -1], // anti-diagonal
+];
+
+function checkWin(board, symbol, r, c, k) {
+  for (const [dr, dc] of DIRECTIONS) {
+    let count = 1;
+    for (const sign of [1, -1]) {
+      let rr = r + dr * sign;
+      let cc = c + dc * sign;
+      while (board[rr] !== undefined && board[rr][cc] === symbol) {
+        count++;
+        rr += dr * sign;
+        cc += dc * sign;
+      }
+    }
+    if (count >= k) return true;
+  }
+  return false;
+}
+
+function isBoardFull(board) {
+  return board.every((row) => row.every((cell) => cell !== EMPTY));
+}
+
+function playerHasCell(board, playerSymbol, r, c) {
+  return board[r][c] === playerSymbol;
+}
+
+// Diagonal Lock Rule cells: the centre and the corners. Only boards with an odd
+// number of rows and columns have a centre cell; elsewhere the rule is off.
+function lockCells(board) {
+  const rows = board.length;
+  const cols = board[0].length;
+  if (rows % 2 === 0 || cols % 2 === 0 || rows < 3 || cols < 3) return null;
+  return {
+    center: { r: (rows - 1) / 2, c: (cols - 1) / 2 },
+    diagonals: [
+      [{ r: 0, c: 0 }, { r: rows - 1, c: cols - 1 }],
+      [{ r: 0, c: cols - 1 }, { r: rows - 1, c: 0 }],
+    ],
+  };
+}
+
+function isCenter(lock, r, c) {
+  return lock !== null && r === lock.center.r && c === lock.center.c;
+}
+
+// Does `symbol` now hold both ends of a diagonal while the center is still empty?
+function triggersLock(board, symbol, lock) {
+  if (!lock || board[lock.center.r][lock.center.c] !== EMPTY) return false;
+  return lock.diagonals.some(([a, b]) => playerHasCell(board, symbol, a.r, a.c) && playerHasCell(board, symbol, b.r, b.c));
+}
+
+// Empty cells `symbol` may take: everything but a center locked to someone else
+function legalCells(board, symbol, lock, centerLockedBy) {
+  const cells = [];
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board[r].length; c++) {
+      if (board[r][c] !== EMPTY) continue;
+      if (isCenter(lock, r, c) && centerLockedBy && centerLockedBy !== symbol) continue;
+      cells.push({ r, c });
+    }
+  }
+  return cells;
+}
+
+// Optional rules, switched with newGame({ rules: { name: true/false } }). A rule can
+//   setup(state)        add fields to a new game
+//   forbids(state, move)  return an error message when `move` ({ r, c, symbol }) breaks it
+//   after(state, move)  react once `move` is on the board: { state: changes, move: changes } or null
+const RULES = {
+  // Holding both corners of a diagonal while the center is empty locks the
+  // center to that symbol; nobody else may take it.
+  diagonalLock: {
+    description: 'Diagonal Lock Rule',
+    default: true,
+    setup: (state) => ({ lock: lockCells(state.board) }),
+    forbids(state, move) {
+      if (!isCenter(state.lock, move.r, move.c) || !state.centerLockedBy || state.centerLockedBy === move.symbol) return null;
+      return `Center ${cellName(move.r, move.c)} is locked to player with symbol "${state.centerLockedBy}". You cannot claim it.`;
+    },
+    after(state, move) {
+      if (!triggersLock(state.board, move.symbol, state.lock)) return null;
+      return { state: { centerLockedBy: move.symbol }, move: { locked: true } };
+    },
+  },
+};
+
+// Built-in variants
+//   standard  k in a row of your symbol wins
+//   misere    k in a row of your symbol loses
+//   wild      each turn you place either symbol; whoever completes k in a row (of either) wins.
+//             The Diagonal Lock then belongs to a symbol, not a player.
+const VARIANTS = {
+  standard: { description: 'k in a row wins', lineLoses: false, anySymbol: false },
+  misere: { description: 'misère: k in a row loses', lineLoses: true, anySymbol: false },
+  wild: { description: 'wild: play either symbol, k in a row of either wins', lineLoses: false, anySymbol: true },
+};
+
+const MAX_SIZE = 26; // rows are lettered A..Z
+
+const NOT_OVER = { over: false, winner: null, draw: false, line: null, forfeit: null };
+
+function enabledRules(state) {
+  return Object.keys(RULES)
+    .filter((name) => state.rules[name])
+    .map((name) => RULES[name]);
+}
+
+// A new game. Throws on options that cannot make a game (a bad move later is an { error } instead).
+// opts: { rows = 3, cols = 3, k = 3, variant = 'standard', rules = {}, symbols = ['X', 'O'] }
+function newGame(opts = {}) {
+  const rows = opts.rows === undefined ? 3 : opts.rows;
+  const cols = opts.cols === undefined ? rows : opts.cols;
+  const k = opts.k === undefined ? 3 : opts.k;
+  const variant = opts.variant || 'standard';
+  const symbols = opts.symbols || ['X', 'O'];
+  for (const [name, n] of [['rows', rows], ['cols', cols]]) {
+    if (!Number.isInteger(n) || n < 1 || n > MAX_SIZE) throw new Error(`Board ${name} must be a whole number from 1 to ${MAX_SIZE}.`);
+  }
+  if (!Number.isInteger(k) || k < 2 || k > Math.max(rows, cols)) {
+    throw new Error(`k must be between 2 and ${Math.max(rows, cols)} on a ${rows}x${cols} board.`);
+  }
+  if (!VARIANTS[variant]) throw new Error(`Unknown variant "${variant}". Choose one of: ${Object.keys(VARIANTS).join(', ')}.`);
+  const unknown = Object.keys(opts.rules || {}).find((name) => !RULES[name]);
+  if (unknown) throw new Error(`Unknown rule "${unknown}". Rules: ${Object.keys(RULES).join(', ')}.`);
+  if (symbols.length !== 2 || symbols.some((s) => typeof s !== 'string' || s.length !== 1 || s === EMPTY) || symbols[0] === symbols[1]) {
+    throw new Error(`Symbols must be two different single characters other than "${EMPTY}".`);
+  }
+  const rules = {};
+  for (const [name, rule] of Object.entries(RULES)) {
+    rules[name] = opts.rules && opts.rules[name] !== undefined ? Boolean(opts.rules[name]) : rule.default;
+  }
+  let state = {
+    rows,
+    cols,
+    k,
+    variant,
+    rules,
+    symbols: symbols.slice(),
+    board: makeEmptyBoard(rows, cols),
+    turn: 0,
+    lock: null,
+    centerLockedBy: null,
+    moves: [],
+    outcome: NOT_OVER,
+  };
+  for (const rule of enabledRules(state)) if (rule.setup) state = { ...state, ...rule.setup(state) };
+  return state;
+}
+
+// Symbols the player to move may place
+function playableSymbols(state) {
+  return VARIANTS[state.variant].anySymbol ? state.symbols.slice() : [state.symbols[state.turn]];
+}
+
+function forbidden(state, move) {
+  for (const rule of enabledRules(state)) {
+    const error = rule.forbids ? rule.forbids(state, move) : null;
+    if (error) return error;
+  }
+  return null;
+}
+
+// Every move the player to move can make: [{ r, c, coord, symbol }]. Empty once the game is over.
+function legalMoves(state) {
+  if (state.outcome.over) return [];
+  const moves = [];
+  for (const symbol of playableSymbols(state)) {
+    for (let r = 0; r < state.rows; r++) {
+      for (let c = 0; c < state.cols; c++) {
+        if (state.board[r][c] !== EMPTY) continue;
+        if (forbidden(state, { r, c, symbol })) continue;
+        moves.push({ r, c, coord: cellName(r, c), symbol });
+      }
+    }
+  }
+  return moves;
+}
+
+// Play `move` for the player to move: { coord: 'B2' } or { r, c }, plus { symbol } in the
+// wild variant (and optionally { clock, auto } to keep with the move). Returns { error } (and the state is untouched), or
+// { state, move, passed }: the next state, the move as recorded, and whether the
+// opponent had no legal move and had to pass.
+function applyMove(state, move) {
+  if (state.outcome.over) return { error: 'The game is over.' };
+  const variant = VARIANTS[state.variant];
+  let idx;
+  if (move.coord !== undefined) {
+    idx = coordToIndex(String(move.coord).replace(/\s+/g, ''), state.board);
+  } else if (Number.isInteger(move.r) && Number.isInteger(move.c) && state.board[move.r] && state.board[move.r][move.c] !== undefined) {
+    idx = { r: move.r, c: move.c };
+  }
+  if (!idx) {
+    const lock = state.lock;
+    const example = lock ? cellName(lock.center.r, lock.center.c) : 'A1';
+    return { error: `Invalid coordinate. Use format A1..${cellName(state.rows - 1, state.cols - 1)}. Example: ${example}` };
+  }
+
+  const own = state.symbols[state.turn];
+  let symbol = move.symbol === undefined ? own : move.symbol;
+  if (variant.anySymbol && move.symbol === undefined) {
+    return { error: `Choose a symbol to place: ${state.symbols.join(' or ')} (e.g. ${cellName(idx.r, idx.c)} ${state.symbols[1]}).` };
+  }
+  if (!playableSymbols(state).includes(symbol)) {
+    return { error: `Player ${state.turn + 1} plays "${own}", not "${symbol}".` };
+  }
+
+  const { r, c } = idx;
+  const error = forbidden(state, { r, c, symbol });
+  if (error) return { error };
+  if (state.board[r][c] !== EMPTY) return { error: 'Cell already filled. Choose another cell.' };
+
+  const board = state.board.map((row) => row.slice());
+  board[r][c] = symbol;
+  let next = { ...state, board };
+  let record = { player: state.turn, symbol, r, c, coord: cellName(r, c), locked: false };
+  if (move.clock !== undefined) record.clock = move.clock;
+  if (move.auto) record.auto = true;
+  for (const rule of enabledRules(state)) {
+    const changes = rule.after ? rule.after(next, record) : null;
+    if (!changes) continue;
+    next = { ...next, ...changes.state };
+    record = { ...record, ...changes.move };
+  }
+
+  const moves = state.moves.concat([record]);
+  const opponent = 1 - state.turn;
+  if (checkWin(board, symbol, r, c, state.k)) {
+    const winner = variant.lineLoses ? opponent : state.turn;
+    const outcome = { ...NOT_OVER, over: true, winner, line: { player: state.turn, symbol } };
+    return { state: { ...next, moves, outcome }, move: record, passed: false };
+  }
+  if (isBoardFull(board)) {
+    return { state: { ...next, moves, outcome: { ...NOT_OVER, over: true, draw: true } }, move: record, passed: false };
+  }
+  next = { ...next, moves, turn: opponent };
+  // only a center locked to the other symbol is left: the opponent has to pass
+  if (legalMoves(next).length === 0) {
+    next = { ...next, moves: moves.concat([{ player: opponent, pass: true }]), turn: state.turn };
+    return { state: next, move: record, passed: true };
+  }
+  return { state: next, move: record, passed: false };
+}
+
+// The player to move gives the game up, e.g. forfeit(state, 'time'): the other
+// player wins. `clock` is kept with the move record as in applyMove.
+function forfeit(state, reason, clock) {
+  if (state.outcome.over) return { error: 'The game is over.' };
+  const record = { player: state.turn, forfeit: reason };
+  if (clock !== undefined) record.clock = clock;
+  const outcome = { ...NOT_OVER, over: true, winner: 1 - state.turn, forfeit: reason };
+  return { state: { ...state, moves: state.moves.concat([record]), outcome } };
+}
+
+// { over, winner, draw, line, forfeit }: winner is the index of the winning player (null
+// while playing or on a draw); line is { player, symbol } for the k in a row that ended
+// it; forfeit is the reason the loser gave up (e.g. 'time').
+function result(state) {
+  return state.outcome;
+}
+
+module.exports = {
+  EMPTY,
+  MAX_SIZE,
+  RULES,
+  VARIANTS,
+  DIRECTIONS,
+  rowLabel,
+  cellName,
+  makeEmptyBoard,
+  coordToIndex,
+  checkWin,
+  isBoardFull,
+  lockCells,
+  isCenter,
+  triggersLock,
+  legalCells,
+  newGame,
+  playableSymbols,
+  legalMoves,
+  applyMove,
+  forfeit,
+  result,
+};
@@ -0,0 +1,223 @@
+// notation.js
+// Game records as text, and replaying them into game states.
+//
+// A record is a few header tags, then the moves in the order they were played:
+//
+//   [Size "3x3"]
+//   [K "3"]
+//   [Variant "standard"]
+//   [Rules "diagonalLock"]
+//   [Player1 "Ann"]
+//   [Player2 "Bob"]
+//   [Symbols "X O"]
+//   [Result "0-1"]
+//
+//   1. A1 A2
+//   2. C3! A3
+//   3. B1! C1!
+//   4. C2! B3!
+//   5. -- B2
+//
+// or, played with [Clock "1+2"] (one minute each, 2 seconds back per move):
+//
+//   1. A1{3.1s/58.9s} A2{5s/57s}
+//   2. C3!{12.5s/48.4s} time{57s/0s}
+//
+// Tags (values in double quotes; \" and \\ escape a quote and a backslash):
+//   Size      ROWSxCOLS
+//   K         marks in a row
+//   Variant   standard, misere or wild (engine.js VARIANTS)
+//   Rules     the rules switched on, separated by spaces, or "none" (engine.js RULES)
+//   Player1, Player2   names
+//   Symbols   player 1's symbol, a space, player 2's symbol
+//   Result    1-0, 0-1, 1/2-1/2 or * (not finished). Only written for people: the replay decides.
+//   Clock     the Fischer clock, MINUTES+SECONDS ("5+3": 5 minutes each, 3 seconds added per move)
+//   MoveTime  seconds allowed per move
+//   (Clock and MoveTime are only there when the game was played with them.)
+// Moves:
+//   "N." numbers each pair of turns (player 1 then player 2); optional when reading
+//   A1..Z26   the cell played; in the wild variant the symbol follows a colon, e.g. B2:O
+//   !         after a move: it locked the center to the mover's symbol (Diagonal Lock Rule;
+//             moves while holding a diagonal and the center is empty re-lock it). Replaying checks it.
+//   ~         after a move: the player ran out of time and it was played for them at random
+//   --        a pass: the player had no legal move
+//   time      the player ran out of time and lost
+//   {4.2s/295.8s}  right after a move (or time): seconds the player took, and seconds left
+//             on their clock afterwards; just {4.2s} without a Clock. E.g. C3!{4.2s/295.8s}
+// Anything from # to the end of a line is a comment, except a # inside a tag's quotes
+// or inside a move (a symbol, e.g. B2:#).
+
+const { RULES, VARIANTS, newGame, applyMove, forfeit, result } = require('./engine');
+const { parseClock, clockLabel } = require('./clock');
+
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, (ch) => `\\${ch}`)}"`;
+}
+
+function resultTag(state) {
+  const outcome = result(state);
+  if (!outcome.over) return '*';
+  if (outcome.draw) return '1/2-1/2';
+  return outcome.winner === 0 ? '1-0' : '0-1';
+}
+
+function clockNote(clock) {
+  if (!clock) return '';
+  return `{${clock.used}s${clock.left === null || clock.left === undefined ? '' : `/${clock.left}s`}}`;
+}
+
+function moveToken(move, state) {
+  if (move.pass) return '--';
+  if (move.forfeit) return `${move.forfeit}${clockNote(move.clock)}`;
+  const symbol = VARIANTS[state.variant].anySymbol ? `:${move.symbol}` : '';
+  return `${move.coord}${symbol}${move.locked ? '!' : ''}${move.auto ? '~' : ''}${clockNote(move.clock)}`;
+}
+
+// The record of `state` as text; `names` are the players' names and `tc` the
+// time control it was played with (clock.js), if any
+function formatRecord(state, names, tc = null) {
+  const rules = Object.keys(RULES).filter((name) => state.rules[name]);
+  const lines = [
+    `[Size ${quote(`${state.rows}x${state.cols}`)}]`,
+    `[K ${quote(state.k)}]`,
+    `[Variant ${quote(state.variant)}]`,
+    `[Rules ${quote(rules.length ? rules.join(' ') : 'none')}]`,
+    `[Player1 ${quote(names[0])}]`,
+    `[Player2 ${quote(names[1])}]`,
+    `[Symbols ${quote(state.symbols.join(' '))}]`,
+    `[Result ${quote(resultTag(state))}]`,
+  ];
+  if (tc && tc.totalSeconds !== null) lines.push(`[Clock ${quote(clockLabel(tc))}]`);
+  if (tc && tc.moveSeconds !== null) lines.push(`[MoveTime ${quote(tc.moveSeconds)}]`);
+  lines.push('');
+  for (let i = 0; i < state.moves.length; i += 2) {
+    const pair = state.moves.slice(i, i + 2).map((move) => moveToken(move, state));
+    lines.push(`${i / 2 + 1}. ${pair.join(' ')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const TAG = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const CLOCK = '(?:\\{(\\d+(?:\\.\\d+)?)s(?:/(\\d+(?:\\.\\d+)?)s)?\\})?';
+const MOVE = new RegExp(`^([A-Za-z]\\d{1,2})(?::(.))?(!?)(~?)${CLOCK}$`);
+const TIMEOUT = new RegExp(`^time${CLOCK}$`);
+
+// `line` without its comment. Quotes only count on tag lines: in a move a " is a symbol.
+function stripComment(line) {
+  const tag = line.trimStart().startsWith('[');
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '\\') i++;
+    else if (tag && ch === '"') quoted = !quoted;
+    else if (ch === '#' && !quoted && (tag || i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+  }
+  return line;
+}
+
+function readClock(used, left) {
+  if (used === undefined) return undefined;
+  return { used: Number(used), left: left === undefined ? null : Number(left) };
+}
+
+// Read a record and play it through the engine.
+// Returns { error } or { names, timeControl, states }: states[0] is the new game and
+// states[i] the game after the i-th move (with any pass that came with it);
+// timeControl is { totalSeconds, incrementSeconds, moveSeconds } from the Clock and
+// MoveTime tags, or null.
+function readRecord(text) {
+  const tags = {};
+  const tokens = []; // { token, line }
+  const lines = String(text).split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = stripComment(lines[i]).trim();
+    if (!line) continue;
+    if (line.startsWith('[')) {
+      const m = TAG.exec(line);
+      if (!m) return { error: `Line ${i + 1}: a tag looks like [Name "value"]` };
+      tags[m[1]] = m[2].replace(/\\(.)/g, '$1');
+      continue;
+    }
+    for (const token of line.split(/\s+/)) {
+      if (!/^\d+\.$/.test(token)) tokens.push({ token, line: i + 1 });
+    }
+  }
+
+  const size = /^(\d+)x(\d+)$/.exec(tags.Size || '3x3');
+  if (!size) return { error: `Size "${tags.Size}" should look like 3x3` };
+  const symbols = (tags.Symbols || 'X O').split(' ');
+  // without a Rules tag the game has the engine's default rules
+  let rules;
+  if (tags.Rules !== undefined) {
+    const enabled = tags.Rules === 'none' ? [] : tags.Rules.split(/\s+/);
+    const unknown = enabled.find((name) => !RULES[name]);
+    if (unknown) return { error: `Unknown rule "${unknown}"` };
+    rules = {};
+    for (const name of Object.keys(RULES)) rules[name] = enabled.includes(name);
+  }
+  let timeControl = null;
+  if (tags.Clock !== undefined || tags.MoveTime !== undefined) {
+    timeControl = { totalSeconds: null, incrementSeconds: 0, moveSeconds: null };
+    try {
+      if (tags.Clock !== undefined) Object.assign(timeControl, parseClock(tags.Clock));
+    } catch (err) {
+      return { error: `Clock "${tags.Clock}" should look like 5+3` };
+    }
+    if (tags.MoveTime !== undefined) {
+      timeControl.moveSeconds = Number(tags.MoveTime);
+      if (!(timeControl.moveSeconds > 0)) return { error: `MoveTime "${tags.MoveTime}" should be a number of seconds` };
+    }
+  }
+  let state;
+  try {
+    state = newGame({
+      rows: Number(size[1]),
+      cols: Number(size[2]),
+      k: Number(tags.K || 3),
+      variant: tags.Variant || 'standard',
+      rules,
+      symbols,
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const states = [state];
+  let passDue = false; // the last move left the other player without a legal move
+  for (const { token, line } of tokens) {
+    const where = `Line ${line}, "${token}"`;
+    if (token === '--') {
+      if (!passDue) return { error: `${where}: a pass, but the player has a legal move` };
+      passDue = false;
+      continue;
+    }
+    if (passDue) return { error: `${where}: the player to move has no legal move, so a pass ("--") comes first` };
+    const timeout = TIMEOUT.exec(token);
+    if (timeout) {
+      const lost = forfeit(state, 'time', readClock(timeout[1], timeout[2]));
+      if (lost.error) return { error: `${where}: ${lost.error}` };
+      state = lost.state;
+      states.push(state);
+      continue;
+    }
+    const m = MOVE.exec(token);
+    if (!m) return { error: `${where}: not a move` };
+    const move = { coord: m[1], symbol: m[2], auto: m[4] === '~' };
+    const clock = readClock(m[5], m[6]);
+    if (clock) move.clock = clock;
+    const played = applyMove(state, move);
+    if (played.error) return { error: `${where}: ${played.error}` };
+    if (played.move.locked !== (m[3] === '!')) {
+      return { error: `${where}: ${played.move.locked ? 'locks the center but is not marked "!"' : 'is marked "!" but does not lock the center'}` };
+    }
+    state = played.state;
+    states.push(state);
+    passDue = played.passed;
+  }
+  return { names: [tags.Player1 || 'Player 1', tags.Player2 || 'Player 2'], timeControl, states };
+}
+
+module.exports = {
+  formatRecord,
+  readRecord,
+};
@@ -0,0 +1,113 @@
+// profiles.js
+// Player profiles, kept in a local JSON file keyed by player name:
+//
+//   {
+//     "Ann": { "symbol": "X", "wins": 3, "losses": 1, "draws": 2, "rating": 1216.4 },
+//     "Bob": { "symbol": "O", "wins": 1, "losses": 3, "draws": 2, "rating": 1183.6 }
+//   }
+//
+// Ratings are Elo: everyone starts at 1200, and after a game each player moves
+// K_FACTOR x (score - expected score) points, where the score is 1 for a win,
+// 0.5 for a draw and 0 for a loss, and the expected score comes from the
+// rating gap (beating a stronger player is worth more). Only games between two
+// people are rated; games against the computer still count as wins, losses
+// and draws.
+
+const fs = require('fs');
+
+const DEFAULT_PROFILES_FILE = 'tic_tac_toe_profiles.json';
+const START_RATING = 1200;
+const K_FACTOR = 32;
+
+function newProfile(symbol = null) {
+  return { symbol, wins: 0, losses: 0, draws: 0, rating: START_RATING };
+}
+
+// The profiles in `file` (none yet if it does not exist). Throws when the file cannot be used.
+function loadProfiles(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw new Error(`Cannot read profiles from ${file}: ${err.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} should hold an object of profiles keyed by name`);
+  const profiles = {};
+  for (const [name, profile] of Object.entries(data)) profiles[name] = { ...newProfile(), ...profile };
+  return profiles;
+}
+
+function saveProfiles(file, profiles) {
+  fs.writeFileSync(file, `${JSON.stringify(profiles, null, 2)}\n`);
+}
+
+// The profile of `name`, created if this is their first game
+function profileFor(profiles, name) {
+  if (!profiles[name]) profiles[name] = newProfile();
+  return profiles[name];
+}
+
+// Expected score (0..1) of a player rated `rating` against one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// Count a finished game between `a` and `b` (names; null for a computer player):
+// `score` is 1 when a won, 0 when b won and 0.5 for a draw. A game between two
+// people also moves both ratings; returns the changes [for a, for b], or null
+// when the game was not rated.
+function recordGame(profiles, a, b, score) {
+  const pa = a === null ? null : profileFor(profiles, a);
+  const pb = b === null ? null : profileFor(profiles, b);
+  for (const [p, s] of [[pa, score], [pb, 1 - score]]) {
+    if (!p) continue;
+    if (s === 1) p.wins++;
+    else if (s === 0) p.losses++;
+    else p.draws++;
+  }
+  if (!pa || !pb) return null;
+  const change = K_FACTOR * (score - expectedScore(pa.rating, pb.rating));
+  const round = (n) => Math.round(n * 10) / 10;
+  const before = [pa.rating, pb.rating];
+  pa.rating = round(pa.rating + change);
+  pb.rating = round(pb.rating - change);
+  return [round(pa.rating - before[0]), round(pb.rating - before[1])];
+}
+
+// Standings, best rating first (then most wins, then name)
+function leaderboard(profiles) {
+  return Object.entries(profiles)
+    .map(([name, p]) => ({ name, rating: p.rating, wins: p.wins, losses: p.losses, draws: p.draws, games: p.wins + p.losses + p.draws }))
+    .sort((x, y) => y.rating - x.rating || y.wins - x.wins || x.name.localeCompare(y.name));
+}
+
+function formatLeaderboard(rows) {
+  if (rows.length === 0) return 'No games played yet.';
+  const width = Math.max(4, ...rows.map((r) => r.name.length));
+  const lines = [`  #  ${'Name'.padEnd(width)}  Rating  Games    W    L    D`];
+  rows.forEach((r, i) => {
+    const counts = [r.games, r.wins, r.losses, r.draws].map((n, j) => String(n).padStart(j === 0 ? 5 : 4)).join(' ');
+    lines.push(`${String(i + 1).padStart(3)}  ${r.name.padEnd(width)}  ${String(Math.round(r.rating)).padStart(6)}  ${counts}`);
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_PROFILES_FILE,
+  START_RATING,
+  K_FACTOR,
+  loadProfiles,
+  saveProfiles,
+  profileFor,
+  expectedScore,
+  recordGame,
+  leaderboard,
+  formatLeaderboard,
+};
@@ -1,70 +1,398 @@
 // tic_tac_toe.js
-// Run: node tic_tac_toe.js
+// Run: node tic_tac_toe.js [--size ROWSxCOLS] [--k N] [--variant NAME] [--no-diagonal-lock]
+//                          [--p1 TYPE] [--p2 TYPE] [--seed N]
+//   --size  board size, up to 26x26 (rows are lettered A..Z, columns numbered); default 3x3
+//   --k     marks in a row needed to win; default 3
+//   --variant  standard (default), misere (k in a row loses) or wild (place either symbol;
+//              type the move as "B2 O")
+//   --no-diagonal-lock  play without the Diagonal Lock Rule
+//   --p1, --p2  human (default) or a computer player: random, greedy or perfect
+//   --seed  makes the computer players' choices repeatable
+//   --games N   play a best-of-N match, the first move alternating between the players
+//   --profiles FILE  where player profiles and ratings are kept; default tic_tac_toe_profiles.json
+//   --leaderboard    print the standings and exit (also a command during a game)
+//   --move-time SECONDS   time limit for each move
+//   --clock MINUTES[+SECONDS]  Fischer clock: minutes each for the game, plus seconds
+//                              added after every move (e.g. --clock 5+3)
+//   --casual   running out of time plays a random move instead of losing the game
+// Examples: --size 4x4 --k 4, Gomoku: --size 15x15 --k 5, self-play: --p1 perfect --p2 greedy
+// Network play (see "Network play" below):
+//   node tic_tac_toe.js --serve [--port 4000] [--host 127.0.0.1] [--reconnect-seconds 60]
+//   node tic_tac_toe.js --connect [HOST:]PORT --name Ann [--token T]
+// Replay a saved game: node tic_tac_toe.js --replay FILE
+// During a game, instead of a move: undo, redo, save FILE, load FILE, replay FILE
+// (records use the text notation described in notation.js).
+// The rules themselves live in engine.js, which does no I/O; require('./tic_tac_toe')
+// gives the same engine API without starting a game.
 
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
 const readline = require('readline');
+const {
+  EMPTY,
+  MAX_SIZE,
+  RULES,
+  VARIANTS,
+  DIRECTIONS,
+  rowLabel,
+  cellName,
+  checkWin,
+  isBoardFull,
+  isCenter,
+  triggersLock,
+  legalCells,
+  newGame,
+  legalMoves,
+  applyMove,
+  forfeit,
+  result,
+} = require('./engine');
+const { formatRecord, readRecord } = require('./notation');
+const {
+  DEFAULT_PROFILES_FILE,
+  loadProfiles,
+  saveProfiles,
+  profileFor,
+  recordGame,
+  leaderboard,
+  formatLeaderboard,
+} = require('./profiles');
+const {
+  NO_TIME_CONTROL,
+  parseClock,
+  hasTimeControl,
+  formatSeconds,
+  timeAllowed,
+  spendTime,
+  clockStatus,
+} = require('./clock');
+// the elevator simulation's seeded PRNG (mulberry32), so self-play games can be repeated with --seed
+const { createRng } = require('../Ques1/rng');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+// The keyboard; only opened when the game runs from the command line
+let rl = null;
+
+function openInput() {
+  rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+}
 
 function ask(question) {
   return new Promise((res) => rl.question(question, (ans) => res(ans.trim())));
 }
 
-// Board coordinates mapping
-const rows = ['A', 'B', 'C'];
-const cols = ['1', '2', '3'];
+// ask() with a time limit: resolves with null if `seconds` pass without an answer
+function askTimed(question, seconds) {
+  if (seconds === null) return ask(question);
+  return new Promise((res) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), seconds * 1000);
+    controller.signal.addEventListener('abort', () => res(null), { once: true });
+    rl.question(question, { signal: controller.signal }, (ans) => {
+      clearTimeout(timer);
+      res(ans.trim());
+    });
+  });
+}
 
-function makeEmptyBoard() {
-  return [
-    ['_', '_', '_'],
-    ['_', '_', '_'],
-    ['_', '_', '_'],
-  ];
+const DEFAULT_OPTIONS = {
+  rows: 3,
+  cols: 3,
+  k: 3,
+  variant: 'standard',
+  diagonalLock: true,
+  seed: null,
+  games: 1,
+  profiles: DEFAULT_PROFILES_FILE,
+  leaderboard: false,
+  timeControl: NO_TIME_CONTROL,
+  serve: false,
+  port: 4000,
+  host: '127.0.0.1',
+  reconnectSeconds: 60,
+  connect: null,
+  name: null,
+  token: null,
+  replay: null,
+};
+const PLAYER_TYPES = ['human', 'random', 'greedy', 'perfect'];
+
+// Read --size ROWSxCOLS (or --size N for a square board), --k N, --variant NAME,
+// --no-diagonal-lock, --p1/--p2 TYPE, --seed N, --games N, --profiles FILE,
+// --leaderboard, --move-time SECONDS, --clock MINUTES[+SECONDS], --casual, the network
+// options and --replay FILE
+function parseOptions(argv) {
+  const opts = { ...DEFAULT_OPTIONS, players: ['human', 'human'], timeControl: { ...NO_TIME_CONTROL } };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === '--size') {
+      const m = /^(\d+)(?:x(\d+))?$/i.exec(value || '');
+      if (!m) throw new Error('--size must look like 15x15 (rows x columns) or 15');
+      opts.rows = Number(m[1]);
+      opts.cols = Number(m[2] || m[1]);
+      i++;
+    } else if (arg === '--k') {
+      if (!/^\d+$/.test(value || '')) throw new Error('--k must be a whole number');
+      opts.k = Number(value);
+      i++;
+    } else if (arg === '--variant') {
+      if (!VARIANTS[value]) throw new Error(`--variant must be one of: ${Object.keys(VARIANTS).join(', ')}`);
+      opts.variant = value;
+      i++;
+    } else if (arg === '--no-diagonal-lock') {
+      opts.diagonalLock = false;
+    } else if (arg === '--p1' || arg === '--p2') {
+      if (!PLAYER_TYPES.includes(value)) throw new Error(`${arg} must be one of: ${PLAYER_TYPES.join(', ')}`);
+      opts.players[arg === '--p1' ? 0 : 1] = value;
+      i++;
+    } else if (arg === '--seed') {
+      if (!/^\d+$/.test(value || '')) throw new Error('--seed must be a whole number');
+      opts.seed = Number(value);
+      i++;
+    } else if (arg === '--games') {
+      if (!/^\d+$/.test(value || '') || Number(value) < 1) throw new Error('--games must be a whole number, 1 or more');
+      opts.games = Number(value);
+      i++;
+    } else if (arg === '--leaderboard') {
+      opts.leaderboard = true;
+    } else if (arg === '--move-time') {
+      if (!/^\d+(\.\d+)?$/.test(value || '') || Number(value) <= 0) throw new Error('--move-time must be a number of seconds');
+      opts.timeControl.moveSeconds = Number(value);
+      i++;
+    } else if (arg === '--clock') {
+      Object.assign(opts.timeControl, parseClock(value));
+      i++;
+    } else if (arg === '--casual') {
+      opts.timeControl.casual = true;
+    } else if (arg === '--serve') {
+      opts.serve = true;
+    } else if (arg === '--port' || arg === '--reconnect-seconds') {
+      if (!/^\d+$/.test(value || '')) throw new Error(`${arg} must be a whole number`);
+      opts[arg === '--port' ? 'port' : 'reconnectSeconds'] = Number(value);
+      i++;
+    } else if (arg === '--host' || arg === '--connect' || arg === '--name' || arg === '--token' || arg === '--replay' || arg === '--profiles') {
+      if (!value) throw new Error(`${arg} needs a value`);
+      opts[arg.slice(2)] = value;
+      i++;
+    } else {
+      throw new Error(
+        `Unknown option "${arg}". Use --size ROWSxCOLS, --k N, --variant NAME, --no-diagonal-lock, --p1/--p2 TYPE, --seed N, --games N, --profiles FILE, --leaderboard, --move-time SECONDS, --clock M+S, --casual, --serve, --connect or --replay FILE.`
+      );
+    }
+  }
+  if (opts.rows < 1 || opts.cols < 1 || opts.rows > MAX_SIZE || opts.cols > MAX_SIZE) {
+    throw new Error(`Board size must be between 1x1 and ${MAX_SIZE}x${MAX_SIZE}.`);
+  }
+  if (opts.k < 2 || opts.k > Math.max(opts.rows, opts.cols)) {
+    throw new Error(`Win length k must be between 2 and ${Math.max(opts.rows, opts.cols)} on a ${opts.rows}x${opts.cols} board.`);
+  }
+  // greedy and perfect only know how to win the standard game
+  if (opts.variant !== 'standard' && opts.players.some((type) => type === 'greedy' || type === 'perfect')) {
+    throw new Error(`Only human and random players can play the ${opts.variant} variant.`);
+  }
+  if (opts.connect && !opts.name) throw new Error('--connect needs --name');
+  return opts;
 }
 
+// Board display: row letters down the side, column numbers across the top
 function printBoard(board) {
-  console.log('\n   1 2 3');
-  for (let r = 0; r < 3; r++) {
-    console.log(rows[r] + '  ' + board[r].join(' '));
+  const width = String(board[0].length).length; // columns 10+ take two characters
+  const header = board[0].map((_, c) => String(c + 1).padStart(width)).join(' ');
+  console.log('\n   ' + header);
+  for (let r = 0; r < board.length; r++) {
+    console.log(rowLabel(r) + '  ' + board[r].map((cell) => cell.padStart(width)).join(' '));
   }
   console.log('');
 }
 
-function coordToIndex(coord) {
-  if (typeof coord !== 'string' || coord.length < 2 || coord.length > 2) return null;
-  const rowChar = coord[0].toUpperCase();
-  const colChar = coord[1];
-  const r = rows.indexOf(rowChar);
-  const c = cols.indexOf(colChar);
-  if (r === -1 || c === -1) return null;
-  return { r, c };
+/* ---------------------------
+   Computer players
+   --------------------------- */
+
+function pickRandom(list, rng) {
+  return list[Math.floor(rng() * list.length)];
 }
 
-function checkWin(board, symbol) {
-  // rows
-  for (let r = 0; r < 3; r++) {
-    if (board[r][0] === symbol && board[r][1] === symbol && board[r][2] === symbol) return true;
+// The computer players search a private copy of the game state (see engine.js):
+// `game` has its own board, and withMove plays on it and takes the move back.
+
+// Play `cell` for `symbol` on `game`, run `fn`, then take it back.
+function withMove(game, cell, symbol, fn) {
+  const lockedBefore = game.centerLockedBy;
+  game.board[cell.r][cell.c] = symbol;
+  if (triggersLock(game.board, symbol, game.lock)) game.centerLockedBy = symbol;
+  try {
+    return fn();
+  } finally {
+    game.board[cell.r][cell.c] = EMPTY;
+    game.centerLockedBy = lockedBefore;
   }
-  // cols
-  for (let c = 0; c < 3; c++) {
-    if (board[0][c] === symbol && board[1][c] === symbol && board[2][c] === symbol) return true;
+}
+
+function winningCells(game, symbol) {
+  return legalCells(game.board, symbol, game.lock, game.centerLockedBy).filter((cell) =>
+    withMove(game, cell, symbol, () => checkWin(game.board, symbol, cell.r, cell.c, game.k))
+  );
+}
+
+// random: any legal move, in any variant
+function randomMove(game, me, opponent, rng) {
+  return pickRandom(legalMoves(game), rng);
+}
+
+// greedy: win now, else block the opponent's win, else lock the center for
+// ourselves, else take the center, else any cell
+function greedyMove(game, me, opponent, rng) {
+  const legal = legalCells(game.board, me, game.lock, game.centerLockedBy);
+  const wins = winningCells(game, me);
+  if (wins.length) return pickRandom(wins, rng);
+  // cells the opponent could win on next turn that we are allowed to take
+  const threats = winningCells(game, opponent).filter((t) => legal.some((cell) => cell.r === t.r && cell.c === t.c));
+  if (threats.length) return pickRandom(threats, rng);
+  const locking = game.centerLockedBy === null ? legal.filter((cell) => withMove(game, cell, me, () => game.centerLockedBy === me)) : [];
+  if (locking.length) return pickRandom(locking, rng);
+  const center = legal.find((cell) => isCenter(game.lock, cell.r, cell.c));
+  if (center) return center;
+  return pickRandom(legal, rng);
+}
+
+// Heuristic value of a position for `me` when the search stops early: every
+// k-long window that only one player has marks in counts 10^marks for them.
+function evaluate(game, me, opponent) {
+  const { board, k } = game;
+  let score = 0;
+  for (const [dr, dc] of DIRECTIONS) {
+    for (let r = 0; r < board.length; r++) {
+      for (let c = 0; c < board[r].length; c++) {
+        const endR = r + dr * (k - 1);
+        const endC = c + dc * (k - 1);
+        if (board[endR] === undefined || endC < 0 || endC >= board[r].length) continue;
+        let mine = 0;
+        let theirs = 0;
+        for (let i = 0; i < k; i++) {
+          const cell = board[r + dr * i][c + dc * i];
+          if (cell === me) mine++;
+          else if (cell === opponent) theirs++;
+        }
+        if (mine && !theirs) score += 10 ** mine;
+        else if (theirs && !mine) score -= 10 ** theirs;
+      }
+    }
   }
-  // diagonals
-  if (board[0][0] === symbol && board[1][1] === symbol && board[2][2] === symbol) return true;
-  if (board[0][2] === symbol && board[1][1] === symbol && board[2][0] === symbol) return true;
+  return score;
+}
+
+// Cells worth searching: on a big board only those next to a mark
+function candidateCells(game, symbol) {
+  const legal = legalCells(game.board, symbol, game.lock, game.centerLockedBy);
+  const { board } = game;
+  if (board.length * board[0].length <= 16) return legal;
+  const near = legal.filter((cell) => {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const row = board[cell.r + dr];
+        if (row && row[cell.c + dc] !== undefined && row[cell.c + dc] !== EMPTY) return true;
+      }
+    }
+    return false;
+  });
+  return near.length ? near : legal;
+}
+
+const WIN_SCORE = 1e9;
+
+// Minimax with alpha-beta pruning. Scores are from `me`'s point of view;
+// quicker wins and slower losses score better.
+function alphaBeta(game, toMove, me, opponent, depth, alpha, beta, ply) {
+  const cells = candidateCells(game, toMove);
+  const next = toMove === me ? opponent : me;
+  if (cells.length === 0) {
+    if (isBoardFull(game.board)) return 0; // draw
+    return alphaBeta(game, next, me, opponent, depth, alpha, beta, ply); // only a locked center is left: pass
+  }
+  if (depth === 0) return evaluate(game, me, opponent);
+  let best = toMove === me ? -Infinity : Infinity;
+  for (const cell of cells) {
+    const value = withMove(game, cell, toMove, () => {
+      if (checkWin(game.board, toMove, cell.r, cell.c, game.k)) return toMove === me ? WIN_SCORE - ply : ply - WIN_SCORE;
+      return alphaBeta(game, next, me, opponent, depth - 1, alpha, beta, ply + 1);
+    });
+    if (toMove === me) {
+      best = Math.max(best, value);
+      alpha = Math.max(alpha, value);
+    } else {
+      best = Math.min(best, value);
+      beta = Math.min(beta, value);
+    }
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+// How far the perfect player looks ahead: the whole game on 3x3, a few moves on bigger boards
+function searchDepth(board) {
+  const cells = board.length * board[0].length;
+  if (cells <= 9) return Infinity;
+  if (cells <= 25) return 4;
+  return 2;
+}
+
+// perfect: the best move by minimax (exact on 3x3); ties are broken at random
+function perfectMove(game, me, opponent, rng) {
+  const depth = searchDepth(game.board);
+  let best = -Infinity;
+  let bestCells = [];
+  for (const cell of candidateCells(game, me)) {
+    const value = withMove(game, cell, me, () => {
+      if (checkWin(game.board, me, cell.r, cell.c, game.k)) return WIN_SCORE;
+      return alphaBeta(game, opponent, me, opponent, depth - 1, -Infinity, Infinity, 1);
+    });
+    if (value > best) {
+      best = value;
+      bestCells = [cell];
+    } else if (value === best) {
+      bestCells.push(cell);
+    }
+  }
+  return pickRandom(bestCells, rng);
+}
+
+const AI_MOVES = { random: randomMove, greedy: greedyMove, perfect: perfectMove };
+
+function computerPlayer(number, level, takenSymbols) {
+  const symbol = ['X', 'O', '@', '#'].find((s) => !takenSymbols.includes(s));
+  return { name: `Computer ${number} (${level})`, symbol, ai: level };
+}
 
-  return false;
+// A returning player is greeted with their record, and pressing Enter at the
+// symbol prompt picks their preferred symbol
+async function askSymbol(number, profile) {
+  const preferred = profile && profile.symbol ? ` [${profile.symbol}]` : '';
+  const symbol = await ask(`Player ${number} - Enter single-character symbol (not "_")${preferred}: `);
+  return symbol || (profile && profile.symbol) || '';
 }
 
-async function registerPlayers() {
-  console.log('Tic-Tac-Toe (3x3) with Diagonal Lock Rule\n');
+function greet(name, profiles) {
+  const p = profiles[name];
+  if (p) console.log(`Welcome back, ${name}! Rating ${Math.round(p.rating)}, ${p.wins} won, ${p.losses} lost, ${p.draws} drawn.`);
+  return p;
+}
+
+async function registerPlayers(opts, profiles) {
+  const game = newGame({ rows: opts.rows, cols: opts.cols, k: opts.k, variant: opts.variant, rules: { diagonalLock: opts.diagonalLock } });
+  const lock = game.lock ? ` with ${RULES.diagonalLock.description}` : '';
+  const variant = opts.variant === 'standard' ? '' : `, ${VARIANTS[opts.variant].description}`;
+  console.log(`Tic-Tac-Toe (${opts.rows}x${opts.cols}, ${opts.k} in a row${variant})${lock}\n`);
   let p1 = {}, p2 = {};
 
-  while (true) {
+  if (opts.players[0] !== 'human') p1 = computerPlayer(1, opts.players[0], []);
+  while (opts.players[0] === 'human') {
     const name1 = await ask('Player 1 - Enter name: ');
-    const sym1 = await ask('Player 1 - Enter single-character symbol (not "_"): ');
+    const sym1 = await askSymbol(1, name1 && greet(name1, profiles));
     if (!name1) { console.log('Name cannot be empty.'); continue; }
     if (!sym1 || sym1.length !== 1) { console.log('Symbol must be a single character.'); continue; }
     if (sym1 === '_') { console.log('Symbol "_" is reserved for empty cells. Choose another.'); continue; }
@@ -72,9 +400,10 @@ async function registerPlayers() {
     break;
   }
 
-  while (true) {
+  if (opts.players[1] !== 'human') p2 = computerPlayer(2, opts.players[1], [p1.symbol]);
+  while (opts.players[1] === 'human') {
     const name2 = await ask('Player 2 - Enter name: ');
-    const sym2 = await ask('Player 2 - Enter single-character symbol (not "_"): ');
+    const sym2 = await askSymbol(2, name2 && name2 !== p1.name && greet(name2, profiles));
     if (!name2) { console.log('Name cannot be empty.'); continue; }
     if (!sym2 || sym2.length !== 1) { console.log('Symbol must be a single character.'); continue; }
     if (sym2 === '_') { console.log('Symbol "_" is reserved for empty cells. Choose another.'); continue; }
@@ -85,93 +414,824 @@ async function registerPlayers() {
   }
 
   console.log(`\nRegistered:\n  Player 1: ${p1.name} as "${p1.symbol}"\n  Player 2: ${p2.name} as "${p2.symbol}"\n`);
+  // remember the symbols people chose for next time
+  const humans = [p1, p2].filter((p) => !p.ai);
+  for (const p of humans) profileFor(profiles, p.name).symbol = p.symbol;
+  if (humans.length) storeProfiles(opts.profiles, profiles);
   return [p1, p2];
 }
 
-function isBoardFull(board) {
-  for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) if (board[r][c] === '_') return false;
-  return true;
+/* ---------------------------
+   Network play: a TCP server hosting game rooms, and a client
+   --------------------------- */
+// node tic_tac_toe.js --serve [--port 4000] [--host 127.0.0.1] [--reconnect-seconds 60]
+// node tic_tac_toe.js --connect [HOST:]PORT --name Ann [--token T]
+//
+// One JSON object per line each way.
+// Client -> server:
+//   { "type": "hello", "name": "Ann", "token": "..." }   first message; the token from an earlier
+//                                                        welcome takes your seat back after a disconnect
+//   { "type": "rooms" }                                   list the rooms
+//   { "type": "join", "room": "r1", "rows": 3, "cols": 3, "k": 3, "symbol": "X" }
+//                                                        take a seat (size and k only count when this
+//                                                        creates the room); a full room makes you a spectator
+//   { "type": "watch", "room": "r1" }                     spectate, read-only
+//   { "type": "move", "coord": "B2" }
+//   { "type": "leave" }                                   back to the lobby (a player leaving a game forfeits)
+// Server -> client:
+//   { "type": "welcome", "name": "Ann", "token": "..." }
+//   { "type": "rooms", "rooms": [{ "name", "rows", "cols", "k", "status", "players": ["Ann"], "spectators": 0 }] }
+//   { "type": "state", "room", "you", "rows", "cols", "k", "board", "players": [{ "name", "symbol", "connected" }],
+//     "turn", "centerLockedBy", "status": "waiting|playing|over", "result": { "winner", "reason" }, "lastMove" }
+//   { "type": "info", "message": "..." }   { "type": "error", "message": "..." }
+// A player who drops out of a game has --reconnect-seconds to come back (same token)
+// before the game is forfeited. Anywhere else a token only lasts as long as its connection.
+
+function sendMessage(socket, message) {
+  if (socket && !socket.destroyed) socket.write(`${JSON.stringify(message)}\n`);
 }
 
-function playerHasCell(board, playerSymbol, r, c) {
-  return board[r][c] === playerSymbol;
+// Call `onMessage` with each JSON line that arrives on `socket`
+function readMessages(socket, onMessage) {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        onMessage(null);
+        continue;
+      }
+      onMessage(message);
+    }
+  });
 }
 
-async function main() {
-  const [p1, p2] = await registerPlayers();
-  const board = makeEmptyBoard();
-  let currentPlayer = p1;
-  let otherPlayer = p2;
-  let gameEnded = false;
-  // If center is locked, store the symbol of locker, otherwise null
-  let centerLockedBy = null;
-
-  printBoard(board);
-  while (!gameEnded) {
-    const input = await ask(`${currentPlayer.name} (${currentPlayer.symbol}) - Enter coordinate (e.g., A1): `);
-    const coord = input.replace(/\s+/g, '').toUpperCase();
-    const idx = coordToIndex(coord);
-
-    // Validate coordinate
-    if (!idx) {
-      console.log('Invalid coordinate. Use format A1..C3. Example: B2\n');
-      continue;
+function roomSummary(room) {
+  return {
+    name: room.name,
+    rows: room.rows,
+    cols: room.cols,
+    k: room.k,
+    status: room.status,
+    players: room.seats.filter(Boolean).map((p) => p.name),
+    spectators: room.spectators.size,
+  };
+}
+
+function startServer(opts) {
+  const rooms = new Map(); // name -> room
+  const sessions = new Map(); // token -> { name, token, socket, room, seat }; connected or within the reconnect window
+  const reconnectMs = opts.reconnectSeconds * 1000;
+
+  function roomState(room, you) {
+    return {
+      type: 'state',
+      room: room.name,
+      you,
+      rows: room.rows,
+      cols: room.cols,
+      k: room.k,
+      board: room.game.board,
+      players: room.seats.filter(Boolean).map((p) => ({ name: p.name, symbol: p.symbol, connected: p.socket !== null })),
+      turn: room.status === 'playing' ? room.seats[room.game.turn].symbol : null,
+      centerLockedBy: room.game.centerLockedBy,
+      status: room.status,
+      result: room.result,
+      lastMove: room.lastMove,
+    };
+  }
+
+  function broadcast(room, message) {
+    for (const p of room.seats) if (p) sendMessage(p.socket, message);
+    for (const socket of room.spectators) sendMessage(socket, message);
+  }
+
+  function broadcastState(room) {
+    for (const p of room.seats) if (p) sendMessage(p.socket, roomState(room, p.symbol));
+    for (const socket of room.spectators) sendMessage(socket, roomState(room, 'spectator'));
+  }
+
+  function endGame(room, winner, reason) {
+    room.status = 'over';
+    room.result = { winner, reason };
+    for (const p of room.seats) if (p && p.timer) clearTimeout(p.timer);
+    broadcastState(room);
+  }
+
+  function dropRoomIfEmpty(room) {
+    if (room.seats.some((p) => p && p.socket !== null) || room.spectators.size > 0) return;
+    rooms.delete(room.name);
+    // players still away from it have nothing to come back to
+    for (const p of room.seats) {
+      const session = p && sessions.get(p.token);
+      if (!session || session.room !== room) continue;
+      session.room = null;
+      session.seat = null;
+      if (session.socket === null) sessions.delete(session.token);
     }
+  }
 
-    const { r, c } = idx;
+  // take `session` out of its room: a player walking out of a running game forfeits it
+  function leaveRoom(session, socket) {
+    const room = session.room;
+    if (!room) return;
+    room.spectators.delete(socket);
+    if (session.seat !== null) {
+      const seat = session.seat;
+      if (room.status === 'playing') {
+        endGame(room, room.seats[1 - seat].symbol, `${session.name} left`);
+      }
+      if (room.status === 'waiting') room.seats[seat] = null;
+      else room.seats[seat] = { ...room.seats[seat], socket: null }; // keep the name on the finished game
+    }
+    session.room = null;
+    session.seat = null;
+    dropRoomIfEmpty(room);
+  }
 
-    // Check if cell is center and if center lock applies
-    if (r === 1 && c === 1 && centerLockedBy && centerLockedBy !== currentPlayer.symbol) {
-      console.log(`Center B2 is locked to player with symbol "${centerLockedBy}". You cannot claim it.\n`);
-      continue;
+  function join(session, socket, msg) {
+    if (typeof msg.room !== 'string' || !msg.room.trim()) return sendMessage(socket, { type: 'error', message: 'Room name required' });
+    if (session.room) leaveRoom(session, socket);
+    let room = rooms.get(msg.room);
+    if (!room) {
+      let game;
+      try {
+        const rows = msg.rows || opts.rows;
+        game = newGame({ rows, cols: msg.cols || (msg.rows ? rows : opts.cols), k: msg.k || opts.k });
+      } catch (err) {
+        return sendMessage(socket, { type: 'error', message: err.message });
+      }
+      room = {
+        name: msg.room,
+        rows: game.rows,
+        cols: game.cols,
+        k: game.k,
+        game, // replaced by a game with the players' symbols when it starts
+        seats: [null, null],
+        spectators: new Set(),
+        status: 'waiting',
+        result: null,
+        lastMove: null,
+      };
+      rooms.set(room.name, room);
+    }
+    const seat = room.status === 'waiting' ? room.seats.indexOf(null) : -1;
+    if (msg.type === 'watch' || seat === -1) {
+      room.spectators.add(socket);
+      session.room = room;
+      session.seat = null;
+      if (msg.type !== 'watch') sendMessage(socket, { type: 'info', message: `Room ${room.name} is full — you are watching` });
+      sendMessage(socket, roomState(room, 'spectator'));
+      return;
+    }
+    // same checks as registerPlayers
+    const other = room.seats[1 - seat];
+    let symbol = msg.symbol === undefined ? null : String(msg.symbol);
+    if (symbol !== null) {
+      let problem = null;
+      if (symbol.length !== 1) problem = 'Symbol must be a single character.';
+      else if (symbol === '_') problem = 'Symbol "_" is reserved for empty cells. Choose another.';
+      else if (other && other.symbol === symbol) problem = `Symbol "${symbol}" is already used by ${other.name}. Choose another.`;
+      if (problem) return sendMessage(socket, { type: 'error', message: problem });
+    } else {
+      symbol = ['X', 'O', '@', '#'].find((s) => !other || other.symbol !== s);
+    }
+    if (other && other.name === session.name) {
+      return sendMessage(socket, { type: 'error', message: `Name "${session.name}" is already playing in this room` });
+    }
+    room.seats[seat] = { name: session.name, symbol, token: session.token, socket, timer: null };
+    session.room = room;
+    session.seat = seat;
+    if (room.seats.every(Boolean)) {
+      room.status = 'playing';
+      room.game = newGame({ rows: room.rows, cols: room.cols, k: room.k, symbols: room.seats.map((p) => p.symbol) });
+      broadcast(room, { type: 'info', message: `${room.seats[0].name} (${room.seats[0].symbol}) vs ${room.seats[1].name} (${room.seats[1].symbol}) — ${room.seats[0].name} starts` });
+    }
+    broadcastState(room);
+  }
+
+  function move(session, socket, msg) {
+    const room = session.room;
+    if (!room || session.seat === null) return sendMessage(socket, { type: 'error', message: 'You are not playing in a room' });
+    if (room.status !== 'playing') return sendMessage(socket, { type: 'error', message: 'The game is not running' });
+    if (room.game.turn !== session.seat) return sendMessage(socket, { type: 'error', message: 'Not your turn' });
+    const me = room.seats[session.seat];
+    const played = applyMove(room.game, { coord: typeof msg.coord === 'string' ? msg.coord : '' });
+    if (played.error) return sendMessage(socket, { type: 'error', message: played.error });
+    room.game = played.state;
+    room.lastMove = { symbol: me.symbol, coord: played.move.coord, locked: played.move.locked };
+    if (played.move.locked) {
+      const center = cellName(room.game.lock.center.r, room.game.lock.center.c);
+      broadcast(room, { type: 'info', message: `Diagonal lock triggered! Center ${center} is now locked to ${me.name} ("${me.symbol}").` });
+    }
+    const outcome = result(room.game);
+    if (outcome.over) return endGame(room, outcome.draw ? null : room.seats[outcome.winner].symbol, outcome.draw ? 'draw' : 'win');
+    if (played.passed) {
+      const next = room.seats[1 - session.seat];
+      broadcast(room, { type: 'info', message: `${next.name} (${next.symbol}) has no legal move and passes.` });
+    }
+    broadcastState(room);
+  }
+
+  // only a player in a running game keeps their session (for --reconnect-seconds); anyone else is gone
+  function disconnected(session, socket) {
+    if (session.socket !== socket) return; // a newer connection took over
+    const room = session.room;
+    session.socket = null;
+    if (!room || session.seat === null || room.status !== 'playing') {
+      leaveRoom(session, socket);
+      sessions.delete(session.token);
+      return;
+    }
+    const player = room.seats[session.seat];
+    player.socket = null;
+    broadcast(room, { type: 'info', message: `${player.name} disconnected — ${opts.reconnectSeconds}s to reconnect` });
+    broadcastState(room);
+    player.timer = setTimeout(() => {
+      player.timer = null;
+      if (room.status === 'playing' && player.socket === null) {
+        endGame(room, room.seats[1 - session.seat].symbol, `${player.name} did not come back`);
+      }
+      leaveRoom(session, null);
+      sessions.delete(session.token);
+    }, reconnectMs);
+  }
+
+  // a returning player gets their seat (and the game) back
+  function reconnected(session, socket) {
+    const room = session.room;
+    if (!room) {
+      sendMessage(socket, { type: 'rooms', rooms: Array.from(rooms.values(), roomSummary) });
+      return;
+    }
+    if (session.seat === null) {
+      room.spectators.add(socket);
+      sendMessage(socket, roomState(room, 'spectator'));
+      return;
+    }
+    const player = room.seats[session.seat];
+    if (player.timer) clearTimeout(player.timer);
+    player.timer = null;
+    player.socket = socket;
+    broadcast(room, { type: 'info', message: `${player.name} is back` });
+    broadcastState(room);
+  }
+
+  const server = net.createServer((socket) => {
+    let session = null;
+    readMessages(socket, (msg) => {
+      if (!msg || typeof msg.type !== 'string') return sendMessage(socket, { type: 'error', message: 'Send one JSON object per line' });
+      if (!session) {
+        if (msg.type !== 'hello') return sendMessage(socket, { type: 'error', message: 'Say hello first: {"type":"hello","name":"..."}' });
+        const known = typeof msg.token === 'string' ? sessions.get(msg.token) : null;
+        if (known) {
+          if (known.socket && known.socket !== socket) known.socket.destroy(); // the old connection is stale
+          session = known;
+          session.socket = socket;
+          sendMessage(socket, { type: 'welcome', name: session.name, token: session.token });
+          reconnected(session, socket);
+          return;
+        }
+        const name = typeof msg.name === 'string' ? msg.name.trim() : '';
+        if (!name) return sendMessage(socket, { type: 'error', message: 'Name cannot be empty.' });
+        session = { name, token: crypto.randomBytes(8).toString('hex'), socket, room: null, seat: null };
+        sessions.set(session.token, session);
+        sendMessage(socket, { type: 'welcome', name, token: session.token });
+        sendMessage(socket, { type: 'rooms', rooms: Array.from(rooms.values(), roomSummary) });
+        return;
+      }
+      switch (msg.type) {
+        case 'rooms':
+          return sendMessage(socket, { type: 'rooms', rooms: Array.from(rooms.values(), roomSummary) });
+        case 'join':
+        case 'watch':
+          return join(session, socket, msg);
+        case 'move':
+          return move(session, socket, msg);
+        case 'leave':
+          leaveRoom(session, socket);
+          return sendMessage(socket, { type: 'rooms', rooms: Array.from(rooms.values(), roomSummary) });
+        default:
+          return sendMessage(socket, { type: 'error', message: `Unknown message type "${msg.type}"` });
+      }
+    });
+    socket.on('close', () => {
+      if (session) disconnected(session, socket);
+    });
+    socket.on('error', () => {}); // 'close' follows
+  });
+  server.listen(opts.port, opts.host, () => {
+    console.log(`Tic-tac-toe server listening on ${opts.host}:${server.address().port}`);
+  });
+  return server;
+}
+
+function printRooms(rooms) {
+  if (rooms.length === 0) {
+    console.log('No rooms yet. Type "join <room>" to open one.');
+    return;
+  }
+  console.log('Rooms:');
+  for (const r of rooms) {
+    console.log(`  ${r.name}  ${r.rows}x${r.cols}, ${r.k} in a row  ${r.status}  players: ${r.players.join(' vs ') || '-'}  spectators: ${r.spectators}`);
+  }
+}
+
+function printState(state) {
+  printBoard(state.board);
+  const name = (symbol) => (state.players.find((p) => p.symbol === symbol) || { name: symbol }).name;
+  const away = state.players.filter((p) => !p.connected).map((p) => `${p.name} is disconnected`);
+  if (away.length) console.log(away.join(', '));
+  if (state.status === 'waiting') console.log(`Room ${state.room}: waiting for an opponent...`);
+  else if (state.status === 'over') {
+    const { winner, reason } = state.result;
+    if (winner === null) console.log("It's a draw! No more moves left.");
+    else console.log(`🎉 ${name(winner)} (${winner}) wins${reason === 'win' ? '' : ` — ${reason}`}!`);
+    console.log('Type "leave" to go back to the lobby.');
+  } else if (state.you === state.turn) console.log(`Your move (${state.you}) - Enter coordinate (e.g., A1):`);
+  else console.log(`${state.you === 'spectator' ? 'Watching: ' : ''}${name(state.turn)} (${state.turn}) to move`);
+}
+
+function runClient(opts) {
+  const [host, port] = opts.connect.includes(':') ? opts.connect.split(':') : ['127.0.0.1', opts.connect];
+  let token = opts.token;
+  let socket = null;
+  let quitting = false;
+  let retries = 0;
+
+  function connect() {
+    socket = net.connect(Number(port), host, () => {
+      retries = 0;
+      sendMessage(socket, { type: 'hello', name: opts.name, token });
+    });
+    readMessages(socket, (msg) => {
+      if (!msg) return;
+      if (msg.type === 'welcome') {
+        if (token !== msg.token) console.log(`Connected as ${msg.name}. (Reconnect later with --token ${msg.token})`);
+        token = msg.token;
+      } else if (msg.type === 'rooms') {
+        printRooms(msg.rooms);
+        console.log('Commands: rooms | join <room> [ROWSxCOLS] [k] | watch <room> | leave | quit; in a game, type a coordinate');
+      } else if (msg.type === 'state') printState(msg);
+      else if (msg.type === 'info') console.log(msg.message);
+      else if (msg.type === 'error') console.log(msg.message);
+    });
+    socket.on('error', () => {}); // 'close' follows
+    socket.on('close', () => {
+      if (quitting) return;
+      // try to get back into the game with our token
+      if (++retries > 10) {
+        console.log('Lost the connection to the server.');
+        rl.close();
+        return;
+      }
+      console.log('Connection lost, reconnecting...');
+      setTimeout(connect, 1000);
+    });
+  }
+
+  rl.on('line', (line) => {
+    const [command, ...rest] = line.trim().split(/\s+/);
+    if (!command) return;
+    if (command === 'quit') {
+      quitting = true;
+      socket.end();
+      rl.close();
+    } else if (command === 'rooms' || command === 'leave') {
+      sendMessage(socket, { type: command });
+    } else if (command === 'join' || command === 'watch') {
+      const msg = { type: command, room: rest[0] };
+      const size = /^(\d+)(?:x(\d+))?$/i.exec(rest[1] || '');
+      if (size) {
+        msg.rows = Number(size[1]);
+        msg.cols = Number(size[2] || size[1]);
+      }
+      if (rest[2]) msg.k = Number(rest[2]);
+      sendMessage(socket, msg);
+    } else {
+      sendMessage(socket, { type: 'move', coord: line });
     }
+  });
+  rl.on('close', () => {
+    quitting = true;
+    if (socket) socket.end();
+  });
+  connect();
+}
+
+/* ---------------------------
+   Playing a game: moves, undo/redo, saving and replaying records
+   --------------------------- */
+
+// A player as shown in messages. In the wild variant both players place either
+// symbol, so nobody owns one.
+function playerLabel(player, state) {
+  return VARIANTS[state.variant].anySymbol ? player.name : `${player.name} (${player.symbol})`;
+}
 
-    // Check if already filled
-    if (board[r][c] !== '_') {
-      console.log('Cell already filled. Choose another cell.\n');
+// Print the board after the last move of `state`, and what that move set off
+function showMove(state, players) {
+  const { moves } = state;
+  const passed = moves[moves.length - 1].pass === true;
+  const move = moves[moves.length - (passed ? 2 : 1)];
+  printBoard(state.board);
+  if (move.locked) {
+    const center = cellName(state.lock.center.r, state.lock.center.c);
+    const owner = VARIANTS[state.variant].anySymbol ? `"${move.symbol}"` : `${players[move.player].name} ("${move.symbol}")`;
+    console.log(`Diagonal lock triggered! Center ${center} is now locked to ${owner}.\n`);
+  }
+  if (passed) console.log(`${playerLabel(players[1 - move.player], state)} has no legal move and passes.\n`);
+}
+
+function showResult(state, players) {
+  const outcome = result(state);
+  if (outcome.draw) {
+    console.log("It's a draw! No more moves left.\n");
+    return;
+  }
+  if (outcome.forfeit === 'time') {
+    console.log(`⏰ ${playerLabel(players[1 - outcome.winner], state)} ran out of time and loses.`);
+  } else if (outcome.line.player !== outcome.winner) {
+    console.log(`${playerLabel(players[outcome.line.player], state)} made ${state.k} in a row and loses!`);
+  }
+  console.log(`🎉 ${playerLabel(players[outcome.winner], state)} wins! Congratulations!\n`);
+}
+
+// Read a game record file: { error } or { names, states } (see notation.js)
+function loadRecord(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return { error: `Cannot read ${file}: ${err.message}` };
+  }
+  const record = readRecord(text);
+  return record.error ? { error: `${file}: ${record.error}` } : record;
+}
+
+// "took 4.2s, 0:55 left" for a move's clock
+function clockNote(clock) {
+  const left = clock.left === null ? '' : `, ${formatSeconds(clock.left)} left`;
+  return `took ${clock.used}s${left}`;
+}
+
+// Step through a recorded game: Enter shows the next move, q stops
+async function replayGame(file) {
+  const record = loadRecord(file);
+  if (record.error) {
+    console.log(`${record.error}\n`);
+    return;
+  }
+  const { names, states } = record;
+  const first = states[0];
+  const players = names.map((name, i) => ({ name, symbol: first.symbols[i] }));
+  const variant = first.variant === 'standard' ? '' : `, ${VARIANTS[first.variant].description}`;
+  console.log(`Replaying ${file}: ${players.map((p) => playerLabel(p, first)).join(' vs ')} (${first.rows}x${first.cols}, ${first.k} in a row${variant})`);
+  printBoard(first.board);
+  for (let i = 1; i < states.length; i++) {
+    const answer = await ask(`Move ${i} of ${states.length - 1} - press Enter (q to stop): `);
+    if (answer.toLowerCase() === 'q') return;
+    const state = states[i];
+    const move = state.moves.filter((m) => !m.pass)[i - 1];
+    const clock = move.clock ? ` (${clockNote(move.clock)})` : '';
+    if (move.forfeit) {
+      console.log(`\n${playerLabel(players[move.player], state)} ran out of time${clock}.\n`);
       continue;
     }
+    const symbol = VARIANTS[state.variant].anySymbol ? ` ${move.symbol}` : '';
+    const auto = move.auto ? ' at random, out of time' : '';
+    console.log(`\n${playerLabel(players[move.player], state)} plays ${move.coord}${symbol}${auto}${clock}`);
+    showMove(state, players);
+  }
+  const last = states[states.length - 1];
+  if (result(last).over) showResult(last, players);
+  else console.log('The recorded game was not finished.\n');
+}
 
-    // Place symbol
-    board[r][c] = currentPlayer.symbol;
-    console.log('');
-    printBoard(board);
+function currentState(game) {
+  return game.history[game.history.length - 1];
+}
+
+// Is a computer to move? It would just play again, so undo and redo go past its turns.
+function computerToMove(game) {
+  const state = currentState(game);
+  return !result(state).over && Boolean(game.players[state.turn].ai);
+}
+
+function undo(game) {
+  do {
+    game.undone.push(game.history.pop());
+  } while (game.history.length > 1 && computerToMove(game));
+}
+
+function redo(game) {
+  do {
+    game.history.push(game.undone.pop());
+  } while (game.undone.length > 0 && computerToMove(game));
+}
+
+// Commands typed instead of a move. Returns false when `input` is not one.
+async function runCommand(input, game) {
+  const [command, ...rest] = input.trim().split(/\s+/);
+  const file = rest.join(' ');
+  const name = command.toLowerCase();
+  if (['save', 'load', 'replay'].includes(name) && !file) {
+    console.log(`Usage: ${name} <file>\n`);
+    return true;
+  }
+  switch (name) {
+    case 'undo':
+      if (game.history.length === 1) console.log('Nothing to undo.\n');
+      else {
+        undo(game);
+        printBoard(currentState(game).board);
+      }
+      return true;
+    case 'redo':
+      if (game.undone.length === 0) console.log('Nothing to redo.\n');
+      else {
+        redo(game);
+        printBoard(currentState(game).board);
+      }
+      return true;
+    case 'save': {
+      const text = formatRecord(currentState(game), game.players.map((p) => p.name), game.timeControl);
+      // a record that would not load back is no use; say so rather than write it
+      const check = readRecord(text);
+      if (check.error) {
+        console.log(`Cannot save this game as a record: ${check.error}\n`);
+        return true;
+      }
+      try {
+        fs.writeFileSync(file, text);
+        console.log(`Saved ${currentState(game).moves.length} moves to ${file}.\n`);
+      } catch (err) {
+        console.log(`Cannot save to ${file}: ${err.message}\n`);
+      }
+      return true;
+    }
+    case 'load': {
+      const record = loadRecord(file);
+      if (record.error) {
+        console.log(`${record.error}\n`);
+        return true;
+      }
+      const loaded = record.states[0];
+      if (loaded.variant !== 'standard' && game.players.some((p) => p.ai === 'greedy' || p.ai === 'perfect')) {
+        console.log(`Only human and random players can play the ${loaded.variant} variant.\n`);
+        return true;
+      }
+      // the players keep their seats (and the time control) and play this game on with the
+      // symbols of the record; the match's players (and their profiles) keep their own
+      game.players = game.players.map((p, i) => ({ ...p, symbol: loaded.symbols[i] }));
+      game.history = record.states;
+      game.undone = [];
+      console.log(`Loaded ${file}: ${record.states.length - 1} moves.`);
+      printBoard(currentState(game).board);
+      return true;
+    }
+    case 'leaderboard':
+      console.log(`${formatLeaderboard(leaderboard(game.profiles))}\n`);
+      return true;
+    case 'replay':
+      await replayGame(file);
+      console.log('Back to the game.');
+      printBoard(currentState(game).board);
+      return true;
+    default:
+      return false;
+  }
+}
+
+// What a player typed: "B2", or "B2 O" in the wild variant
+function parseMoveInput(input, state) {
+  const parts = input.trim().split(/\s+/);
+  if (VARIANTS[state.variant].anySymbol && parts.length > 1) {
+    return { coord: parts.slice(0, -1).join(''), symbol: parts[parts.length - 1] };
+  }
+  return { coord: input };
+}
+
+// The player to move in `current` ran out of time: in casual mode a random legal move
+// is played for them, otherwise they lose. Returns the next state.
+function timeOut(current, players, tc, rng) {
+  const player = players[current.turn];
+  const clock = spendTime(tc, current, current.turn, timeAllowed(tc, current, current.turn));
+  console.log(''); // the prompt that timed out is still on its line
+  if (!tc.casual) return forfeit(current, 'time', clock).state;
+  const move = pickRandom(legalMoves(current), rng);
+  const symbol = VARIANTS[current.variant].anySymbol ? ` ${move.symbol}` : '';
+  console.log(`⏰ ${playerLabel(player, current)} is out of time. A random move is played: ${move.coord}${symbol}\n`);
+  const played = applyMove(current, { r: move.r, c: move.c, symbol: move.symbol, clock, auto: true });
+  showMove(played.state, players);
+  return played.state;
+}
 
-    // After placing, check diagonal-lock trigger:
-    // If current player now has both A1 & C3 OR A3 & C1, and center B2 is empty -> lock it to this player's symbol
-    const hasA1 = playerHasCell(board, currentPlayer.symbol, 0, 0);
-    const hasC3 = playerHasCell(board, currentPlayer.symbol, 2, 2);
-    const hasA3 = playerHasCell(board, currentPlayer.symbol, 0, 2);
-    const hasC1 = playerHasCell(board, currentPlayer.symbol, 2, 0);
+// Play one game to the end and return its final state. `tc` is the time control (clock.js).
+async function playGame(players, state, rng, profiles, tc) {
+  // every state of the game so far (for undo) and the ones taken back (for redo);
+  // game.players are this game's players, with the symbols of a loaded record
+  const game = { players, profiles, timeControl: tc, history: [state], undone: [] };
+  const humans = players.some((p) => !p.ai);
+  const timed = hasTimeControl(tc);
+  let announced = false;
+  let thinking = null; // { state, since }: when the player to move started on this position
 
-    if (board[1][1] === '_' && ( (hasA1 && hasC3) || (hasA3 && hasC1) )) {
-      centerLockedBy = currentPlayer.symbol;
-      console.log(`Diagonal lock triggered! Center B2 is now locked to ${currentPlayer.name} ("${currentPlayer.symbol}").\n`);
+  printBoard(state.board);
+  for (;;) {
+    const current = currentState(game);
+    if (result(current).over) {
+      if (!announced) showResult(current, game.players);
+      announced = true;
+      if (!humans) break;
+      // a finished game can still be taken back or saved
+      const input = await ask('Type undo, save <file>, replay <file> or leaderboard, or press Enter to go on: ');
+      if (!input) break;
+      if (!(await runCommand(input, game))) console.log('The game is over.\n');
+      thinking = null; // an undo starts the clock afresh
+      continue;
+    }
+    announced = false;
+    const currentPlayer = game.players[current.turn];
+    const otherPlayer = game.players[1 - current.turn];
+    // the clock runs from the first prompt for a position, through typos and commands
+    if (!thinking || thinking.state !== current) thinking = { state: current, since: Date.now() };
+    const elapsed = () => (Date.now() - thinking.since) / 1000;
+    const allowed = timeAllowed(tc, current, current.turn);
+    let move;
+    if (allowed !== null && elapsed() >= allowed) {
+      game.history.push(timeOut(current, game.players, tc, rng));
+      game.undone = [];
+      continue;
+    }
+    if (currentPlayer.ai) {
+      // the computer thinks on a copy of the game; its move goes through the same checks as a typed one
+      const copy = { ...current, board: current.board.map((row) => row.slice()) };
+      const cell = AI_MOVES[currentPlayer.ai](copy, currentPlayer.symbol, otherPlayer.symbol, rng);
+      move = { r: cell.r, c: cell.c, symbol: cell.symbol || currentPlayer.symbol };
+      const symbol = VARIANTS[current.variant].anySymbol ? ` ${move.symbol}` : '';
+      console.log(`${playerLabel(currentPlayer, current)} plays ${cellName(move.r, move.c)}${symbol}`);
+    } else {
+      const example = VARIANTS[current.variant].anySymbol ? 'Enter coordinate and symbol (e.g., A1 X)' : 'Enter coordinate (e.g., A1)';
+      const status = timed ? ` [${clockStatus(tc, current, current.turn, elapsed())}]` : '';
+      const input = await askTimed(`${playerLabel(currentPlayer, current)}${status} - ${example}: `, allowed === null ? null : allowed - elapsed());
+      if (input === null) continue; // out of time: dealt with at the top of the loop
+      if (await runCommand(input, game)) {
+        if (currentState(game) !== current) thinking = null; // undo, redo or load: a new position
+        continue;
+      }
+      move = parseMoveInput(input, current);
+    }
+    if (timed) {
+      if (allowed !== null && elapsed() >= allowed) continue; // too late
+      move.clock = spendTime(tc, current, current.turn, elapsed());
     }
 
-    // Win check
-    if (checkWin(board, currentPlayer.symbol)) {
-      console.log(`🎉 ${currentPlayer.name} (${currentPlayer.symbol}) wins! Congratulations!\n`);
-      gameEnded = true;
-      break;
+    const played = applyMove(current, move);
+    if (played.error) {
+      console.log(`${played.error}\n`);
+      continue;
     }
+    game.history.push(played.state);
+    game.undone = [];
+    console.log('');
+    showMove(played.state, game.players);
+  }
+  return currentState(game);
+}
 
-    // Draw check
-    if (isBoardFull(board)) {
-      console.log("It's a draw! No more moves left.\n");
-      gameEnded = true;
-      break;
+function storeProfiles(file, profiles) {
+  try {
+    saveProfiles(file, profiles);
+  } catch (err) {
+    console.log(`Cannot save profiles to ${file}: ${err.message}\n`);
+  }
+}
+
+// Count a finished game in the profiles of the people who played it (computer players
+// have none); `score` is 1 if players[0] won, 0 if players[1] won, 0.5 for a draw
+function recordResult(players, score, opts, profiles) {
+  const names = players.map((p) => (p.ai ? null : p.name));
+  if (names.every((name) => name === null)) return;
+  const changes = recordGame(profiles, names[0], names[1], score);
+  storeProfiles(opts.profiles, profiles);
+  if (!changes) return;
+  const shown = players.map((p, i) => `${p.name} ${Math.round(profiles[p.name].rating)} (${changes[i] >= 0 ? '+' : ''}${changes[i]})`);
+  console.log(`Ratings: ${shown.join(', ')}\n`);
+}
+
+// A best-of-N match (N = opts.games): the first move alternates between the players,
+// and the match stops as soon as one of them has won more than half of the games
+async function playMatch(players, opts, rng, profiles) {
+  const wins = [0, 0];
+  let draws = 0;
+  for (let i = 0; i < opts.games && Math.max(...wins) <= opts.games / 2; i++) {
+    const seated = i % 2 === 0 ? players : [players[1], players[0]]; // the first to move first
+    if (opts.games > 1) console.log(`Game ${i + 1} of ${opts.games}: ${seated[0].name} goes first.`);
+    const state = newGame({
+      rows: opts.rows,
+      cols: opts.cols,
+      k: opts.k,
+      variant: opts.variant,
+      rules: { diagonalLock: opts.diagonalLock },
+      symbols: seated.map((p) => p.symbol),
+    });
+    const outcome = result(await playGame(seated, state, rng, profiles, opts.timeControl));
+    let score = 0.5; // for players[0]
+    if (outcome.draw) draws++;
+    else {
+      const winner = players.indexOf(seated[outcome.winner]);
+      wins[winner]++;
+      score = winner === 0 ? 1 : 0;
+    }
+    recordResult(players, score, opts, profiles);
+    if (opts.games > 1) {
+      const drawn = draws ? `, ${draws} drawn` : '';
+      console.log(`Match: ${players[0].name} ${wins[0]} - ${wins[1]} ${players[1].name}${drawn}\n`);
     }
+  }
+  if (opts.games === 1) return;
+  if (wins[0] === wins[1]) console.log(`The match is drawn ${wins[0]} - ${wins[1]}.\n`);
+  else {
+    const best = wins[0] > wins[1] ? 0 : 1;
+    console.log(`🏆 ${players[best].name} wins the match ${wins[best]} - ${wins[1 - best]}!\n`);
+  }
+}
 
-    // Swap players for next turn
-    [currentPlayer, otherPlayer] = [otherPlayer, currentPlayer];
+async function main() {
+  let opts;
+  try {
+    opts = parseOptions(process.argv.slice(2));
+  } catch (err) {
+    console.log(err.message);
+    return;
+  }
+  if (opts.serve) {
+    startServer(opts); // the server takes no keyboard input
+    return;
+  }
+  openInput();
+  if (opts.connect) {
+    runClient(opts);
+    return;
+  }
+  if (opts.replay) {
+    await replayGame(opts.replay);
+    rl.close();
+    return;
+  }
+  let profiles;
+  try {
+    profiles = loadProfiles(opts.profiles);
+  } catch (err) {
+    console.log(err.message);
+    rl.close();
+    return;
+  }
+  if (opts.leaderboard) {
+    console.log(formatLeaderboard(leaderboard(profiles)));
+    rl.close();
+    return;
+  }
+  const players = await registerPlayers(opts, profiles);
+  const rng = opts.seed === null ? Math.random : createRng(opts.seed);
+  const humans = players.some((p) => !p.ai);
+  for (;;) {
+    await playMatch(players, opts, rng, profiles);
+    if (!humans) break;
+    const again = await ask(`Play ${opts.games > 1 ? 'another match' : 'again'}? (y/N): `);
+    if (!again.toLowerCase().startsWith('y')) break;
+    console.log('');
   }
 
   console.log('Game over. Thank you for playing.');
   rl.close();
 }
 
-main().catch((err) => {
-  console.error('Unexpected error:', err);
-  rl.close();
-});
+module.exports = {
+  newGame,
+  legalMoves,
+  applyMove,
+  result,
+  RULES,
+  VARIANTS,
+  AI_MOVES,
+  parseOptions,
+  startServer,
+};
+
+// The game only starts (and only reads the keyboard) when run as a program, not when required
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('Unexpected error:', err);
+    if (rl) rl.close();
+  });
+}